@@ -7,14 +7,52 @@ const https = require('https');
 const { PrismaClient } = require('@prisma/client');
 const path = require('path');
 const makeQuotesRouter = require('./routes/quotes'); // ← quotes module
+const makeFieldMappingsRouter = require('./routes/fieldMappings');
+const makeProductsRouter = require('./routes/products');
+const makeAuthRouter = require('./routes/auth');
+const makeExchangeRatesRouter = require('./routes/exchangeRates');
+const makeCustomersRouter = require('./routes/customers');
+const makeWebhooksRouter = require('./routes/webhooks');
+const makeEmailTemplatesRouter = require('./routes/emailTemplates');
+const { makeAuth } = require('./lib/auth');
+const { baseCurrency } = require('./lib/exchangeRates');
+const {
+  IMAGE_SIZES, createFileImageStore, imageKey, contentHash, renderImageSizes,
+} = require('./lib/productImages');
+const { TRACKED_FIELDS, diffProduct } = require('./lib/productHistory');
+const { expireOverdueQuotes } = require('./lib/quoteLifecycle');
+const { releaseStaleReservations } = require('./lib/stockReservations');
+const { mapDebtorDetails } = require('./lib/customers');
+const { recordEvent, deliverDue } = require('./lib/webhooks');
+const { makeTransporter, deliverQueuedEmails } = require('./lib/emailOutbox');
+const {
+  exoClientOptions, makeExoClient, forEachConcurrent, isUnavailable,
+} = require('./lib/exoClient');
+const { reminderDays, queueQuoteReminders } = require('./lib/quoteEmails');
+const { brandFromEnv } = require('./lib/quotePdf');
+const { isAttributeTarget, mappingType, parseMappingInput } = require('./lib/fieldMappings');
+const {
+  DEFAULT_UNIT, unitFromLabel, parseDimension, parseSize, areaM2, formatSize,
+} = require('./lib/dimensions');
 
 const app = express();
 const port = process.env.PORT || 3000; // Railway sets PORT in prod
 const prisma = new PrismaClient();
 
+// Hops of reverse proxy in front of us (Railway: 1), so req.ip is the client's address
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? 1));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public'))); // Serve static frontend files
 
+// ---- Staff auth ----
+// Every request is identified (session cookie or API key); routes then require a role.
+// Sync, debug and config are ADMIN; quotes are SALES to change, READONLY to view.
+const auth = makeAuth(prisma);
+const adminOnly = auth.requireRole('ADMIN');
+const staffOnly = auth.requireRole('READONLY');
+app.use(auth.identify);
+app.use('/auth', makeAuthRouter(prisma, auth));
+
 // ---- EXO client config ----
 const exoBaseUrl = process.env.EXO_BASE_URL || 'https://exo.api.myob.com';
 const exoAuth = {
@@ -27,16 +65,25 @@ const exoHeaders = {
   Accept: 'application/json',
 };
 
-// ---- Axios client with keep-alive ----
+// ---- Product image storage ----
+const imageStore = createFileImageStore(process.env.IMAGE_STORAGE_DIR || path.join(__dirname, 'data', 'images'));
+const syncImages = process.env.SYNC_IMAGES !== 'false';
+// Optional binary image endpoint for items that list no images, e.g. "/stockitem/{id}/image"
+const exoImagePath = process.env.EXO_IMAGE_PATH || '';
+
+// ---- EXO API client (concurrency, rate limit, retries, circuit breaker: lib/exoClient.js) ----
+const exoOptions = exoClientOptions(process.env);
+const exo = makeExoClient({ baseUrl: exoBaseUrl, auth: exoAuth, headers: exoHeaders, ...exoOptions });
+// Products/debtors synced at once; each may make several EXO calls (details, images)
+const syncConcurrency = Number(process.env.SYNC_CONCURRENCY) || exoOptions.concurrency;
+
+// ---- Axios client with keep-alive, for images hosted outside EXO ----
 const axiosClient = axios.create({
   timeout: 45000,
   httpAgent: new http.Agent({ keepAlive: true }),
   httpsAgent: new https.Agent({ keepAlive: true }),
 });
 
-// ---- Helpers ----
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-
 (function envPreflight() {
   const required = ['DATABASE_URL', 'EXO_BASE_URL', 'EXO_USERNAME', 'EXO_PASSWORD', 'EXO_DEV_KEY', 'EXO_ACCESS_TOKEN'];
   const missing = required.filter(k => !process.env[k] || String(process.env[k]).trim() === '');
@@ -47,44 +94,6 @@ const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
   }
 })();
 
-function logAxiosError(err, url) {
-  if (err.response) {
-    const body = typeof err.response.data === 'string'
-      ? err.response.data
-      : JSON.stringify(err.response.data);
-    console.error(`HTTP ${err.response.status} for ${url} →`, body.slice(0, 800));
-  } else if (err.request) {
-    console.error(`No response from ${url}`);
-  } else {
-    console.error(`Axios error for ${url}:`, err.message);
-  }
-}
-
-// GET with retry/backoff; treat 404 on paginated endpoints as end-of-pages
-async function fetchWithRetry(url, options, retries = 6, baseBackoffMs = 2000) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const res = await axiosClient.get(url, { ...options });
-      return res.data;
-    } catch (err) {
-      const code = err?.response?.status;
-      if (code === 404) {
-        console.warn(`404 on ${url} (treating as end-of-pages)`);
-        return { __END__: true };
-      }
-      console.warn(`Attempt ${attempt} failed for ${url} → ${code || err.code || err.message}`);
-      logAxiosError(err, url);
-
-      const transient =
-        code >= 500 ||
-        ['ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'ECONNABORTED'].includes(err?.code);
-      if (!transient || attempt === retries) throw err;
-
-      await sleep(baseBackoffMs * attempt);
-    }
-  }
-}
-
 // ---------- Extra field utilities (robust origin/length/width/size) ----------
 function normalizeKey(s) {
   return String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
@@ -158,7 +167,9 @@ function parseMeasure(val) {
 // ---------------------------------------------------------------------------
 
 // ---- EXO fetchers ----
-async function fetchExoProductsList() {
+// Every page of an EXO list endpoint (stockitem, debtor…). A 504 usually means the page was
+// too big for EXO to build in time, so it's retried at the next smaller size rather than as is.
+async function fetchExoList(resource, what = 'items') {
   let all = [];
   let page = 1;
   const pageSizes = [50, 25, 10, 5];
@@ -167,28 +178,15 @@ async function fetchExoProductsList() {
     let pageData = null;
     let usedSize = null;
 
-    for (const size of pageSizes) {
-      const url = `${exoBaseUrl}/stockitem?page=${page}&pagesize=${size}`;
+    for (const [i, size] of pageSizes.entries()) {
+      const smaller = i < pageSizes.length - 1;
       try {
-        const data = await fetchWithRetry(url, { auth: exoAuth, headers: exoHeaders });
-        if (data?.__END__) { pageData = []; break; }
-
-        const items = Array.isArray(data) ? data :
-                      (Array.isArray(data?.items) ? data.items : null);
-
-        if (!items) {
-          console.error('Unexpected list shape on page', page, '→',
-            (typeof data === 'string' ? data : JSON.stringify(data)).slice(0, 400));
-          pageData = [];
-        } else {
-          pageData = items;
-          usedSize = size;
-        }
+        pageData = await exo.getPage(resource, page, size, smaller ? { giveUpOn: [504] } : undefined);
+        usedSize = size;
         break;
       } catch (e) {
-        if (e?.response?.status === 504) {
+        if (smaller && e?.response?.status === 504) {
           console.warn(`504 on page ${page} size ${size} → stepping down…`);
-          await sleep(3000);
           continue;
         }
         throw e;
@@ -196,108 +194,685 @@ async function fetchExoProductsList() {
     }
 
     if (!pageData || pageData.length === 0) break;
-    console.log(`Fetched page ${page} (size ${usedSize}) with ${pageData.length} products`);
+    console.log(`Fetched page ${page} (size ${usedSize}) with ${pageData.length} ${what}`);
     all = all.concat(pageData);
     page++;
   }
   return all;
 }
 
-async function fetchExoProductDetails(id) {
-  const url = `${exoBaseUrl}/stockitem/${id}`;
-  const data = await fetchWithRetry(url, { auth: exoAuth, headers: exoHeaders });
-  if (!data || typeof data !== 'object') {
-    throw new Error(`Unexpected product details for id ${id}: ${
-      (typeof data === 'string' ? data : JSON.stringify(data)).slice(0, 800)
-    }`);
+const fetchExoProductsList = () => fetchExoList('stockitem', 'products');
+const fetchExoDebtorsList = () => fetchExoList('debtor', 'debtors');
+
+// One record by id; an id EXO doesn't know (e.g. deleted since the list was read) throws
+async function fetchExoRecord(resource, id, what) {
+  const data = await exo.getOne(`/${resource}/${encodeURIComponent(id)}`);
+  if (data === null) throw new Error(`${what} ${id} not found in EXO`);
+  if (typeof data !== 'object') {
+    throw new Error(`Unexpected ${what} details for id ${id}: ${String(data).slice(0, 800)}`);
   }
   return data;
 }
 
+const fetchExoProductDetails = (id) => fetchExoRecord('stockitem', id, 'Stock item');
+const fetchExoDebtorDetails = (id) => fetchExoRecord('debtor', id, 'Debtor');
+
+// ---- EXO → Product mapping ----
+async function loadFieldMappings() {
+  return prisma.fieldMapping.findMany({ where: { enabled: true }, orderBy: { id: 'asc' } });
+}
+
+function fieldLabel(f) {
+  return getFirstDefined(f?.name, f?.label, f?.caption, f?.displayname, f?.displayName, f?.fieldname, f?.fieldName, f?.key);
+}
+
+// Applies the configured extra-field mappings (first match per target wins).
+// Returns { values, units, matches } — `units` holds any unit named in the matched field's
+// label (e.g. "Length (mm)"); `matches` says which EXO field fed each target, for previews.
+function applyFieldMappings(extras, mappings) {
+  const values = { attributes: {} };
+  const units = {};
+  const matches = [];
+  for (const m of mappings) {
+    if (m.enabled === false) continue;
+    const field = findExtraField(extras, m.aliases || []);
+    if (!field) continue;
+
+    const raw = extractValue(field);
+    const value = mappingType(m) === 'number' ? parseMeasure(raw) : String(raw ?? '').trim();
+    if (value === null || value === '') continue;
+
+    const label = fieldLabel(field) ?? null;
+    if (isAttributeTarget(m.target)) {
+      const key = m.target.slice('attributes.'.length);
+      if (key in values.attributes) continue;
+      values.attributes[key] = value;
+    } else {
+      if (m.target in values) continue;
+      values[m.target] = value;
+      units[m.target] = unitFromLabel(label);
+    }
+    matches.push({ target: m.target, field: label, raw: raw ?? null, value });
+  }
+  return { values, units, matches };
+}
+
+// Level whose price becomes Product.price (the catalogue/retail price)
+const basePriceLevel = Number(process.env.EXO_BASE_PRICE_LEVEL || 1);
+
+// Every EXO sale price level → [{ level, name, price }]. Levels without a positive price are dropped.
+// EXO numbers levels from 1; fall back to list position when the row has no id.
+function exoSalePrices(details) {
+  const rows = Array.isArray(details?.saleprices) ? details.saleprices : [];
+  return rows
+    .map((row, i) => ({
+      level: Number(row?.pricelevel ?? row?.priceno ?? row?.id ?? i + 1),
+      name: getFirstDefined(row?.name, row?.description, row?.label) ?? null,
+      price: Number(row?.price),
+    }))
+    .filter(p => Number.isInteger(p.level) && Number.isFinite(p.price) && p.price > 0)
+    .filter((p, i, all) => all.findIndex(o => o.level === p.level) === i);
+}
+
+// Sales tax EXO applies to the item → { taxCode, taxRate } (rate as a percent), nulls when not given.
+// Comes as a salestax/taxrate object ({ shortname, rate }) or flat fields depending on the API version.
+function exoSalesTax(details) {
+  const t = [details?.salestaxrate, details?.salesTaxRate, details?.taxrate, details?.taxRate]
+    .find(v => v && typeof v === 'object') || {};
+  const rate = Number(getFirstDefined(t.rate, t.taxrate, details?.salestaxratepercent, details?.taxratepercent));
+  const code = getFirstDefined(t.shortname, t.code, t.name, details?.taxcode, details?.taxCode);
+  return {
+    taxCode: code == null || code === '' ? null : String(code).slice(0, 20),
+    taxRate: Number.isFinite(rate) && rate >= 0 && rate <= 100 ? String(rate) : null,
+  };
+}
+
+function toQty(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.round(n) : null;
+}
+
+// Per-location stock → [{ locationId, locationName, inStock, free, committed }].
+// free/committed stay null when EXO doesn't report them.
+function exoStockLocations(details) {
+  const rows = [details?.stocklevels, details?.stockLevels, details?.stocklocations, details?.locations]
+    .find(c => Array.isArray(c)) || [];
+  return rows
+    .map(row => ({
+      locationId: String(getFirstDefined(row?.locationid, row?.locationId, row?.location?.id, row?.id) ?? ''),
+      locationName: getFirstDefined(row?.locationname, row?.locationName, row?.location?.name, row?.name) ?? null,
+      inStock: toQty(getFirstDefined(row?.instock, row?.inStock, row?.physicalstock, row?.onhand, row?.qty, row?.quantity)) ?? 0,
+      free: toQty(getFirstDefined(row?.freestock, row?.freeStock, row?.free, row?.available)),
+      committed: toQty(getFirstDefined(row?.committed, row?.committedstock, row?.committedStock, row?.allocated)),
+    }))
+    .filter(r => r.locationId !== '')
+    .filter((r, i, all) => all.findIndex(o => o.locationId === r.locationId) === i);
+}
+
+// Builds the Product row for an EXO stock item.
+// Sell price rule: Product.price is the base level's price; if EXO has no positive sell price
+// for that level the product gets price 0 and hasSellPrice=false (cost is never used as a price).
+function mapProductDetails(details, briefId, mappings) {
+  const extras = getExtraFields(details);
+  const { values, units, matches } = applyFieldMappings(extras, mappings);
+
+  const origin = values.origin ?? '';
+  let lengthDim = parseDimension(values.length, units.length || DEFAULT_UNIT)
+    ?? parseDimension(details?.length ?? details?.Length ?? details?.dimensions?.length);
+  let widthDim  = parseDimension(values.width, units.width || DEFAULT_UNIT)
+    ?? parseDimension(details?.width ?? details?.Width ?? details?.dimensions?.width);
+
+  // Fall back to a combined "size" field like "240 x 170 cm" or 8'x10'
+  const sizeRaw = values.size ?? '';
+  if ((!lengthDim || !widthDim) && sizeRaw) {
+    const parsed = parseSize(sizeRaw, units.size || DEFAULT_UNIT);
+    lengthDim = lengthDim ?? parsed.length;
+    widthDim  = widthDim ?? parsed.width;
+  }
+
+  const lengthCm = lengthDim?.cm ?? null;
+  const widthCm  = widthDim?.cm ?? null;
+  // Normalised "L x W cm" when we have both sides, otherwise whatever EXO gave us
+  const size = formatSize(lengthCm, widthCm) ?? sizeRaw;
+  const dimensionUnit = lengthDim?.unit ?? widthDim?.unit ?? null;
+
+  const sku  = details?.barcode1 || String(details?.id ?? briefId) || '';
+  const description = values.description || details?.notes || '';
+  const stockCode = String(details?.id ?? briefId);
+
+  const salePrices = exoSalePrices(details);
+  const base = salePrices.find(p => p.level === basePriceLevel);
+  const price = String(base?.price ?? 0);
+  const hasSellPrice = Boolean(base);
+
+  const stockLevel = Number(details?.totalinstock ?? 0) || 0;
+  const name = details?.description || 'Untitled';
+  const { taxCode, taxRate } = exoSalesTax(details);
+
+  return {
+    data: {
+      stockCode, name, description, sku, price, hasSellPrice, origin, stockLevel, taxCode, taxRate,
+      length: lengthDim?.value ?? null,
+      width: widthDim?.value ?? null,
+      lengthCm, widthCm, size, dimensionUnit,
+      areaM2: areaM2(lengthCm, widthCm),
+      attributes: values.attributes,
+    },
+    salePrices,
+    stockLocations: exoStockLocations(details),
+    matches,
+  };
+}
+
 // ---- Sync logic ----
-async function syncProducts() {
-  try {
-    const list = await fetchExoProductsList();
-    console.log(`Total fetched products: ${list.length}`);
+const SYNC_KEY_PRODUCTS = 'products';
+// Delta runs only re-fetch changed items, so force a full reconcile now and then
+const fullSyncEveryHours = Number(process.env.SYNC_FULL_EVERY_HOURS || 24);
 
-    let savedCount = 0;
+function briefIdOf(brief) {
+  return brief?.id ?? brief?.stockcode ?? brief?.stockCode ?? brief?.barcode1;
+}
 
-    for (const brief of list) {
-      const briefId = brief?.id ?? brief?.stockcode ?? brief?.stockCode ?? brief?.barcode1;
-      if (!briefId) {
-        console.warn('Skipping brief product with no id/stockcode', brief);
-        continue;
-      }
+// EXO isn't consistent about the name of the "last changed" field
+function exoLastModified(obj) {
+  const raw = getFirstDefined(
+    obj?.lastupdated, obj?.lastUpdated, obj?.lastmodified, obj?.lastModified,
+    obj?.last_updated, obj?.lastupdatedate, obj?.modifieddate
+  );
+  if (raw === undefined) return null;
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
 
-      try {
-        await sleep(100);
-        const details = await fetchExoProductDetails(briefId);
-
-        const extras = getExtraFields(details);
-
-        const originField = findExtraField(extras, ['origin','countryoforigin','country','madein','made']);
-        const origin = String(extractValue(originField) ?? '').trim();
-
-        const lengthField = findExtraField(extras, [
-          'length','lengthcm','length(mm)','length(cm)','length(m)','ruglength','size length'
-        ]);
-        const widthField  = findExtraField(extras, [
-          'width','widthcm','width(mm)','width(cm)','width(m)','rugwidth','size width'
-        ]);
-
-        let length = lengthField ? parseMeasure(extractValue(lengthField)) : null;
-        let width  = widthField  ? parseMeasure(extractValue(widthField )) : null;
-
-        if (length == null) length = parseMeasure(details?.length ?? details?.Length ?? details?.dimensions?.length);
-        if (width  == null) width  = parseMeasure(details?.width  ?? details?.Width  ?? details?.dimensions?.width);
-
-        let size = '';
-        if (length && width) {
-          size = `${length} x ${width}`;
-        } else {
-          const sizeField = findExtraField(extras, ['size','dimensions','size(cm)','overall size','rug size']);
-          const sizeRaw = sizeField ? String(extractValue(sizeField) ?? '') : '';
-          if (sizeRaw) {
-            const nums = sizeRaw.replace(/,/g, '.').match(/-?\d+(\.\d+)?/g);
-            if (nums && nums.length >= 2) {
-              const a = parseFloat(nums[0]);
-              const b = parseFloat(nums[1]);
-              if (length == null && !Number.isNaN(a)) length = a;
-              if (width  == null && !Number.isNaN(b)) width  = b;
-              if (length && width) size = `${length} x ${width}`;
-            } else {
-              size = sizeRaw;
-            }
-          }
-        }
+// An explicit false active flag (false, "false", "0", "N", "no") means the item was retired in EXO;
+// records without a flag count as active
+function exoIsActive(obj) {
+  const flag = getFirstDefined(obj?.isactive, obj?.isActive, obj?.active, obj?.Active);
+  if (flag === undefined) return true;
+  return !(flag === false || ['false', '0', 'n', 'no'].includes(String(flag).trim().toLowerCase()));
+}
+
+// Refuse to mark more than this share of the catalogue deleted in one run (truncated list guard)
+const maxDeleteRatio = Number(process.env.SYNC_MAX_DELETE_RATIO || 0.2);
+
+async function resolveSyncMode(requested, key = SYNC_KEY_PRODUCTS) {
+  const state = await prisma.syncState.findUnique({ where: { key } });
+  if (requested === 'full' || requested === 'delta') return { mode: requested, state };
 
-        const sku  = details?.barcode1 || String(details?.id ?? briefId) || '';
-        const webDescField = findExtraField(extras, ['webdescription','web description','online description']);
-        const webdescription = String(extractValue(webDescField) ?? '') || details?.notes || '';
-        const stockCode = String(details?.id ?? briefId);
+  const fullDueAt = state?.lastFullSyncAt
+    ? state.lastFullSyncAt.getTime() + fullSyncEveryHours * 3600 * 1000
+    : 0;
+  const mode = !state?.cursor || Date.now() >= fullDueAt ? 'full' : 'delta';
+  return { mode, state };
+}
+
+const MAX_RUN_ERRORS = 200; // per-item errors kept on a SyncRun
+
+function newSyncStats() {
+  return { total: 0, fetched: 0, saved: 0, skipped: 0, failed: 0, discontinued: 0, errors: [] };
+}
+
+// mode: 'auto' (default) | 'delta' | 'full'
+// Counters are written into `stats` as we go; `onProgress` is called after each item.
+// Throws on fatal errors (list fetch, DB down, EXO unavailable) — callers record those on the SyncRun.
+async function syncProducts({ mode: requestedMode = 'auto', stats = newSyncStats(), onProgress, runId = null } = {}) {
+  const { mode, state } = await resolveSyncMode(requestedMode);
+  stats.mode = mode;
+  const cursor = mode === 'delta' ? state?.cursor ?? null : null;
+  console.log(`Sync mode: ${mode}${cursor ? ` (changes since ${cursor.toISOString()})` : ''}`);
+
+  const mappings = await loadFieldMappings();
+  const list = await fetchExoProductsList();
+  stats.total = list.length;
+  console.log(`Total fetched products: ${list.length}`);
+
+  // What we already hold (and its status), so delta mode can pick up items we've never seen
+  const known = new Map(
+    (await prisma.product.findMany({ select: { stockCode: true, status: true } }))
+      .map(p => [p.stockCode, p.status])
+  );
+  const seen = new Set();
+
+  let newestSeen = state?.cursor ?? null;
+
+  // Items run syncConcurrency at a time; the EXO client keeps the request rate in check
+  await forEachConcurrent(list, syncConcurrency, async (brief) => {
+    const briefId = briefIdOf(brief);
+    if (!briefId) {
+      console.warn('Skipping brief product with no id/stockcode', brief);
+      return;
+    }
+
+    seen.add(String(briefId));
+    const briefModified = exoLastModified(brief);
+    if (briefModified && (!newestSeen || briefModified > newestSeen)) newestSeen = briefModified;
+
+    const knownStatus = known.get(String(briefId));
+    if (cursor && knownStatus && knownStatus !== 'DELETED') {
+      // Inclusive so edits landing in the same second as the cursor aren't missed.
+      // Items without a timestamp in the list (or that came back after deletion) are always fetched.
+      if (briefModified && briefModified < cursor) { stats.skipped++; return; }
+    }
+
+    try {
+      const details = await fetchExoProductDetails(briefId);
+      stats.fetched++;
 
-        const rawPrice = details?.saleprices?.[0]?.price ?? details?.latestcost ?? 0;
-        const price = String(rawPrice);
+      const { data: mapped, salePrices, stockLocations } = mapProductDetails(details, briefId, mappings);
+      const { stockCode } = mapped;
+      const lastModified = exoLastModified(details) ?? briefModified;
+      if (lastModified && (!newestSeen || lastModified > newestSeen)) newestSeen = lastModified;
 
-        const stockLevel = Number(details?.totalinstock ?? 0) || 0;
-        const name = details?.description || 'Untitled';
+      const status = exoIsActive(details) && exoIsActive(brief) ? 'ACTIVE' : 'DISCONTINUED';
+      const prevStatus = known.get(stockCode);
+      const statusFields = prevStatus === status ? {} : { status, statusChangedAt: new Date() };
+      if (status === 'DISCONTINUED' && prevStatus !== status) stats.discontinued++;
 
-        await prisma.product.upsert({
+      // The product, its prices, history and webhook event land together or not at all
+      const product = await prisma.$transaction(async (tx) => {
+        const before = await tx.product.findUnique({ where: { stockCode }, select: historySelect });
+        const saved = await tx.product.upsert({
           where: { stockCode },
-          update: { name, description: webdescription, sku, price, origin, length, width, size, stockLevel },
-          create: { stockCode, name, description: webdescription, sku, price, origin, length, width, size, stockLevel },
+          update: { ...mapped, lastModified, ...statusFields },
+          create: { ...mapped, lastModified, ...statusFields },
         });
+        await saveProductPrices(tx, saved.id, salePrices);
+        const changes = await recordProductChanges(tx, saved.id, before, { ...mapped, status, prices: salePrices }, runId);
+        if (!before || changes.length) {
+          await recordEvent(tx, before ? 'product.updated' : 'product.created', productEventData(saved, changes));
+        }
+        return saved;
+      });
+      await saveProductStock(product.id, stockLocations);
+
+      // A broken image shouldn't fail the product; note it on the run instead
+      if (syncImages) {
+        try {
+          await syncProductImages(product, details, briefId);
+        } catch (imgErr) {
+          console.warn(`Images for ${stockCode} failed:`, imgErr?.message || imgErr);
+          if (stats.errors.length < MAX_RUN_ERRORS) {
+            stats.errors.push({ id: String(briefId), error: `images: ${imgErr?.message || imgErr}` });
+          }
+        }
+      }
+
+      stats.saved++;
+      if (stats.saved % 50 === 0) console.log(`Synced ${stats.saved} products so far...`);
+    } catch (rowErr) {
+      if (isUnavailable(rowErr)) throw rowErr; // EXO is down: stop the run, not fail every item
+      stats.failed++;
+      if (stats.errors.length < MAX_RUN_ERRORS) {
+        stats.errors.push({ id: String(briefId), error: String(rowErr?.message || rowErr) });
+      }
+      console.error(`Error syncing product ${briefId}:`, rowErr?.message || rowErr);
+    }
+    if (onProgress) await onProgress(stats);
+  });
+
+  await markMissingProductsDeleted(known, seen, stats, runId);
+
+  await saveSyncCursor(SYNC_KEY_PRODUCTS, mode, newestSeen, stats);
+
+  console.log(`Sync complete (${mode}). Saved: ${stats.saved}, unchanged: ${stats.skipped}, failed: ${stats.failed}`);
+  return stats;
+}
+
+// Only move the cursor after a clean run, otherwise failed items would be skipped next time
+async function saveSyncCursor(key, mode, newestSeen, stats) {
+  if (stats.failed !== 0) {
+    console.warn(`Sync had ${stats.failed} failures; keeping previous cursor.`);
+    return;
+  }
+  const now = new Date();
+  await prisma.syncState.upsert({
+    where: { key },
+    update: { cursor: newestSeen, ...(mode === 'full' ? { lastFullSyncAt: now } : {}) },
+    create: { key, cursor: newestSeen, lastFullSyncAt: mode === 'full' ? now : null },
+  });
+}
+
+// Current values of everything lib/productHistory tracks
+const historySelect = {
+  ...Object.fromEntries(TRACKED_FIELDS.map(f => [f, true])),
+  prices: { select: { level: true, price: true } },
+};
+
+// → the changes recorded
+async function recordProductChanges(tx, productId, before, after, syncRunId) {
+  const changes = diffProduct(before, after);
+  if (!changes.length) return changes;
+  await tx.productChange.createMany({
+    data: changes.map(c => ({ ...c, productId, syncRunId })),
+  });
+  return changes;
+}
+
+// ---- Webhook events (outbox; delivered by the webhook cron below) ----
+// Events are recorded with recordEvent(tx, …) inside the transaction that makes the change.
+
+// product.* payload: identity, current status/price and which tracked fields moved
+function productEventData(product, changes = []) {
+  return {
+    id: product.id,
+    stockCode: product.stockCode,
+    name: product.name ?? null,
+    status: product.status,
+    price: product.price == null ? null : String(product.price),
+    stockLevel: product.stockLevel ?? null,
+    changed: changes.map(c => ({ field: c.field, from: c.oldValue, to: c.newValue })),
+  };
+}
+
+// Replaces a product's price levels with what EXO currently has
+async function saveProductPrices(tx, productId, salePrices) {
+  await tx.productPrice.deleteMany({
+    where: { productId, level: { notIn: salePrices.map(p => p.level) } },
+  });
+  for (const { level, name, price } of salePrices) {
+    await tx.productPrice.upsert({
+      where: { productId_level: { productId, level } },
+      update: { name, price: String(price) },
+      create: { productId, level, name, price: String(price) },
+    });
+  }
+}
+
+// Image references on a stock item, in display order: { url } or { data } (base64).
+// Non-image attachments are ignored.
+function exoImageSources(details, exoId) {
+  const listed = [details?.images, details?.attachments, details?.pictures].filter(Array.isArray).flat();
+  const sources = [];
+  for (const a of listed) {
+    if (typeof a === 'string') { sources.push({ url: a }); continue; }
+    const mime = String(getFirstDefined(a?.mimetype, a?.contenttype, a?.contentType) ?? '');
+    const name = String(getFirstDefined(a?.filename, a?.fileName, a?.name) ?? '');
+    if (mime && !mime.startsWith('image/')) continue;
+    if (!mime && name && !/\.(jpe?g|png|gif|webp|tiff?)$/i.test(name)) continue;
+    const data = getFirstDefined(a?.data, a?.base64, a?.content);
+    const url = getFirstDefined(a?.url, a?.href, a?.link);
+    if (data) sources.push({ data });
+    else if (url) sources.push({ url });
+  }
+  if (details?.imageurl) sources.push({ url: details.imageurl });
+  if (!sources.length && exoImagePath) {
+    sources.push({ url: exoImagePath.replace('{id}', encodeURIComponent(exoId)), optional: true });
+  }
+  return sources;
+}
+
+// Downloads one image source. EXO credentials are only sent to the EXO host.
+// Returns null when an optional source doesn't exist.
+async function loadExoImage(src) {
+  if (src.data) return Buffer.from(String(src.data), 'base64');
+  try {
+    if (exo.isExoUrl(src.url)) return await exo.getBuffer(src.url, { headers: { Accept: 'image/*' } });
+    const res = await axiosClient.get(src.url, { responseType: 'arraybuffer' });
+    return Buffer.from(res.data);
+  } catch (e) {
+    if (src.optional && e?.response?.status === 404) return null;
+    throw e;
+  }
+}
+
+// Brings a product's images in line with EXO: unchanged images (same content hash) are left
+// alone, new/changed ones are resized into every IMAGE_SIZES rendition, removed ones deleted.
+async function syncProductImages(product, details, exoId) {
+  const sources = exoImageSources(details, exoId);
+  const existing = await prisma.productImage.findMany({ where: { productId: product.id } });
+  const kept = new Set();
+
+  for (const [position, src] of sources.entries()) {
+    const buffer = await loadExoImage(src);
+    if (!buffer) continue;
+    kept.add(position);
+
+    const hash = contentHash(buffer);
+    const current = existing.find(img => img.position === position);
+    if (current?.contentHash === hash) continue;
+
+    const { width, height, renditions } = await renderImageSizes(buffer);
+    const img = current
+      ? await prisma.productImage.update({ where: { id: current.id }, data: { contentHash: hash, width, height } })
+      : await prisma.productImage.create({ data: { productId: product.id, position, contentHash: hash, width, height } });
+    for (const [size, buf] of Object.entries(renditions)) {
+      await imageStore.put(imageKey(img.id, size), buf);
+    }
+  }
+
+  const stale = existing.filter(img => !kept.has(img.position));
+  for (const img of stale) {
+    for (const size of Object.keys(IMAGE_SIZES)) await imageStore.remove(imageKey(img.id, size));
+  }
+  if (stale.length) await prisma.productImage.deleteMany({ where: { id: { in: stale.map(img => img.id) } } });
+}
+
+// Replaces a product's per-location stock with what EXO currently reports
+async function saveProductStock(productId, locations) {
+  await prisma.$transaction([
+    prisma.productStock.deleteMany({
+      where: { productId, locationId: { notIn: locations.map(l => l.locationId) } },
+    }),
+    ...locations.map(({ locationId, ...rest }) =>
+      prisma.productStock.upsert({
+        where: { productId_locationId: { productId, locationId } },
+        update: rest,
+        create: { productId, locationId, ...rest },
+      })
+    ),
+  ]);
+}
+
+// Anything we hold that EXO no longer lists has been deleted there
+async function markMissingProductsDeleted(known, seen, stats, syncRunId = null) {
+  const missing = [...known.entries()]
+    .filter(([code, status]) => status !== 'DELETED' && !seen.has(code))
+    .map(([code]) => code);
+  if (!missing.length) return;
+
+  if (seen.size === 0 || missing.length > known.size * maxDeleteRatio) {
+    console.warn(`Sync: ${missing.length} of ${known.size} products missing from EXO list; ` +
+      'not marking them deleted (list may be truncated).');
+    return;
+  }
+
+  const rows = await prisma.product.findMany({
+    where: { stockCode: { in: missing } },
+    select: { id: true, stockCode: true, name: true, status: true, price: true, stockLevel: true },
+  });
+  const { count } = await prisma.$transaction(async (tx) => {
+    const result = await tx.product.updateMany({
+      where: { stockCode: { in: missing } },
+      data: { status: 'DELETED', statusChangedAt: new Date() },
+    });
+    await tx.productChange.createMany({
+      data: rows.map(p => ({ productId: p.id, syncRunId, field: 'status', oldValue: p.status, newValue: 'DELETED' })),
+    });
+    for (const p of rows) {
+      const change = { field: 'status', oldValue: p.status, newValue: 'DELETED' };
+      await recordEvent(tx, 'product.deleted', productEventData({ ...p, status: 'DELETED' }, [change]));
+    }
+    return result;
+  });
+  stats.discontinued += count;
+  console.log(`Sync: marked ${count} products deleted (no longer in EXO).`);
+}
+
+// ---- Customer sync (EXO debtors) ----
+const SYNC_KEY_CUSTOMERS = 'customers';
+
+// Same shape as syncProducts: delta runs skip debtors unchanged since the cursor. Debtors that
+// go inactive or disappear from EXO are deactivated, never deleted (quotes point at them).
+// `stats.discontinued` counts customers deactivated by this run.
+async function syncCustomers({ mode: requestedMode = 'auto', stats = newSyncStats(), onProgress } = {}) {
+  const { mode, state } = await resolveSyncMode(requestedMode, SYNC_KEY_CUSTOMERS);
+  stats.mode = mode;
+  const cursor = mode === 'delta' ? state?.cursor ?? null : null;
+  console.log(`Customer sync mode: ${mode}${cursor ? ` (changes since ${cursor.toISOString()})` : ''}`);
+
+  const list = await fetchExoDebtorsList();
+  stats.total = list.length;
+
+  const known = new Map(
+    (await prisma.customer.findMany({ where: { exoDebtorId: { not: null } }, select: { exoDebtorId: true, active: true } }))
+      .map(c => [c.exoDebtorId, c.active])
+  );
+  const seen = new Set();
+  let newestSeen = state?.cursor ?? null;
+
+  await forEachConcurrent(list, syncConcurrency, async (brief) => {
+    const briefId = Number(brief?.id ?? brief?.accountno ?? brief?.debtorid);
+    if (!Number.isInteger(briefId)) {
+      console.warn('Skipping debtor with no id', brief);
+      return;
+    }
+
+    seen.add(briefId);
+    const briefModified = exoLastModified(brief);
+    if (briefModified && (!newestSeen || briefModified > newestSeen)) newestSeen = briefModified;
+    if (cursor && known.get(briefId) && briefModified && briefModified < cursor) { stats.skipped++; return; }
 
-        savedCount++;
-        if (savedCount % 50 === 0) console.log(`Synced ${savedCount} products so far...`);
-      } catch (rowErr) {
-        console.error(`Error syncing product ${briefId}:`, rowErr?.message || rowErr);
+    try {
+      const details = await fetchExoDebtorDetails(briefId);
+      stats.fetched++;
+
+      const { data, contacts, addresses } = mapDebtorDetails(details, briefId);
+      const lastModified = exoLastModified(details) ?? briefModified;
+      if (lastModified && (!newestSeen || lastModified > newestSeen)) newestSeen = lastModified;
+      const active = exoIsActive(details) && exoIsActive(brief);
+      if (!active && known.get(data.exoDebtorId)) stats.discontinued++;
+
+      const customer = await prisma.customer.upsert({
+        where: { exoDebtorId: data.exoDebtorId },
+        update: { ...data, active, lastModified },
+        create: { ...data, active, lastModified },
+      });
+      await saveCustomerDetails(customer.id, contacts, addresses);
+      stats.saved++;
+    } catch (rowErr) {
+      if (isUnavailable(rowErr)) throw rowErr;
+      stats.failed++;
+      if (stats.errors.length < MAX_RUN_ERRORS) {
+        stats.errors.push({ id: String(briefId), error: String(rowErr?.message || rowErr) });
       }
+      console.error(`Error syncing debtor ${briefId}:`, rowErr?.message || rowErr);
     }
+    if (onProgress) await onProgress(stats);
+  });
+
+  await deactivateMissingCustomers(known, seen, stats);
+  await saveSyncCursor(SYNC_KEY_CUSTOMERS, mode, newestSeen, stats);
+
+  console.log(`Customer sync complete (${mode}). Saved: ${stats.saved}, unchanged: ${stats.skipped}, failed: ${stats.failed}`);
+  return stats;
+}
+
+// Replaces the EXO-sourced contacts/addresses; ones added locally stay
+async function saveCustomerDetails(customerId, contacts, addresses) {
+  await prisma.$transaction([
+    prisma.customerContact.deleteMany({ where: { customerId, fromExo: true } }),
+    prisma.customerContact.createMany({ data: contacts.map(c => ({ ...c, customerId })) }),
+    prisma.customerAddress.deleteMany({ where: { customerId, fromExo: true } }),
+    prisma.customerAddress.createMany({ data: addresses.map(a => ({ ...a, customerId })) }),
+  ]);
+}
+
+// Debtors EXO no longer lists, with the same truncated-list guard as products
+async function deactivateMissingCustomers(known, seen, stats) {
+  const missing = [...known.entries()].filter(([id, active]) => active && !seen.has(id)).map(([id]) => id);
+  if (!missing.length) return;
+  if (seen.size === 0 || missing.length > known.size * maxDeleteRatio) {
+    console.warn(`Customer sync: ${missing.length} of ${known.size} debtors missing from EXO list; ` +
+      'not deactivating them (list may be truncated).');
+    return;
+  }
+  const { count } = await prisma.customer.updateMany({
+    where: { exoDebtorId: { in: missing } },
+    data: { active: false },
+  });
+  stats.discontinued += count;
+  console.log(`Customer sync: deactivated ${count} customers (no longer in EXO).`);
+}
 
-    console.log('Sync complete. Saved products:', savedCount);
+// ---- Sync runs (background jobs) ----
+// Single-flight per kind: one product and one customer sync per process at most, so a long
+// product sync doesn't crowd out the customer one. kind → the SyncRun row while it's in progress.
+const activeRuns = {};
+const PROGRESS_FLUSH_MS = 2000;
+
+function runCounts(stats) {
+  const { total, fetched, saved, skipped, failed, discontinued, errors } = stats;
+  return { total, fetched, saved, skipped, failed, discontinued, errors };
+}
+
+async function executeSyncRun(run, syncFn) {
+  const stats = newSyncStats();
+  let lastFlush = 0;
+  const onProgress = async () => {
+    if (Date.now() - lastFlush < PROGRESS_FLUSH_MS) return;
+    lastFlush = Date.now();
+    await prisma.syncRun.update({ where: { id: run.id }, data: runCounts(stats) })
+      .catch(e => console.warn(`SyncRun ${run.id} progress update failed:`, e?.message || e));
+  };
+
+  try {
+    await syncFn({ mode: run.mode, stats, onProgress, runId: run.id });
+    await prisma.syncRun.update({
+      where: { id: run.id },
+      data: {
+        ...runCounts(stats),
+        mode: stats.mode || run.mode,
+        status: stats.failed ? 'PARTIAL' : 'SUCCEEDED',
+        finishedAt: new Date(),
+      },
+    });
   } catch (err) {
-    console.error('Sync error (fatal):', err?.message || err);
+    console.error(`Sync run ${run.id} failed (fatal):`, err?.message || err);
+    await prisma.syncRun.update({
+      where: { id: run.id },
+      data: {
+        ...runCounts(stats),
+        status: 'FAILED',
+        error: String(err?.message || err).slice(0, 2000),
+        finishedAt: new Date(),
+      },
+    }).catch(e => console.error(`SyncRun ${run.id} final update failed:`, e?.message || e));
+  }
+}
+
+// What each SyncRun.kind runs
+const SYNC_KINDS = { products: syncProducts, customers: syncCustomers };
+
+// Starts a sync in the background. Returns { started, run }; started=false means one of the
+// same kind is already going.
+async function startSyncRun({ kind = 'products', mode = 'auto', trigger = 'manual' } = {}) {
+  if (!SYNC_KINDS[kind]) throw new Error(`Unknown sync kind: ${kind}`);
+  if (activeRuns[kind]) return { started: false, run: activeRuns[kind] };
+
+  activeRuns[kind] = { id: null, kind, mode, trigger, status: 'RUNNING' }; // claim the lock before awaiting
+  try {
+    activeRuns[kind] = await prisma.syncRun.create({ data: { kind, mode, trigger } });
+  } catch (e) {
+    delete activeRuns[kind];
+    throw e;
+  }
+
+  const run = activeRuns[kind];
+  executeSyncRun(run, SYNC_KINDS[kind]).finally(() => { delete activeRuns[kind]; });
+  return { started: true, run };
+}
+
+// A restart kills any in-flight run; don't leave it RUNNING forever
+async function failOrphanedSyncRuns() {
+  try {
+    const { count } = await prisma.syncRun.updateMany({
+      where: { status: 'RUNNING' },
+      data: { status: 'FAILED', error: 'Interrupted by server restart', finishedAt: new Date() },
+    });
+    if (count) console.warn(`Marked ${count} interrupted sync run(s) as failed.`);
+  } catch (e) {
+    console.error('Failed to clean up orphaned sync runs:', e?.message || e);
   }
 }
 
@@ -313,24 +888,23 @@ app.get('/health', async (_req, res) => {
   }
 });
 
-// EXO ping
-app.get('/exo-health', async (_req, res) => {
+// EXO ping, plus the client's view (circuit breaker, queue, retry counts)
+app.get('/exo-health', adminOnly, async (_req, res) => {
   try {
-    const url = `${exoBaseUrl}/stockitem?page=1&pagesize=1`;
-    const r = await axiosClient.get(url, { auth: exoAuth, headers: exoHeaders, timeout: 30000 });
-    const body = Array.isArray(r.data) ? r.data :
-                 (Array.isArray(r.data?.items) ? r.data.items : r.data);
-    res.json({ ok: true, status: r.status, sample: Array.isArray(body) ? body.slice(0, 1) : body });
+    const items = await exo.getPage('stockitem', 1, 1, { retries: 0, timeout: 30000 });
+    res.json({ ok: true, sample: items.slice(0, 1), client: exo.stats() });
   } catch (e) {
     res.status(500).json({
       ok: false,
       err: e?.response?.status ?? e.message,
-      data: e?.response?.data ?? null
+      data: e?.response?.data ?? null,
+      client: exo.stats(),
     });
   }
 });
 
-// Debug extras
+// Debug extras (admin only, like everything under /debug)
+app.use('/debug', adminOnly);
 app.get('/debug/extras/:id', async (req, res) => {
   try {
     const details = await fetchExoProductDetails(req.params.id);
@@ -350,54 +924,108 @@ app.get('/debug/extras/:id', async (req, res) => {
   }
 });
 
-// Trigger full sync
-app.get('/sync', async (_req, res) => {
-  await syncProducts();
-  res.send('Product sync triggered');
+// Preview extra-field mapping for one stock item without saving anything.
+// GET uses the saved mappings; POST { mappings: [...] } tries a draft set instead.
+async function handleMappingPreview(req, res) {
+  try {
+    let mappings;
+    if (Array.isArray(req.body?.mappings)) {
+      mappings = [];
+      for (const [i, input] of req.body.mappings.entries()) {
+        const { data, error } = parseMappingInput(input);
+        if (error) return res.status(400).json({ ok: false, error: `mappings[${i}]: ${error}` });
+        mappings.push(data);
+      }
+    } else {
+      mappings = await loadFieldMappings();
+    }
+
+    const details = await fetchExoProductDetails(req.params.id);
+    const { data, salePrices, stockLocations, matches } = mapProductDetails(details, req.params.id, mappings);
+    const current = await prisma.product.findUnique({ where: { stockCode: data.stockCode } });
+    const unmatched = mappings
+      .filter(m => m.enabled !== false && !matches.some(x => x.target === m.target))
+      .map(m => m.target);
+
+    res.json({
+      ok: true, draft: Array.isArray(req.body?.mappings), product: data, salePrices, stockLocations,
+      matches, unmatched, current,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: String(e) });
+  }
+}
+app.get('/debug/extras/:id/preview', handleMappingPreview);
+app.post('/debug/extras/:id/preview', handleMappingPreview);
+
+// --- Sync API (admin only) ---
+app.use('/sync', adminOnly);
+// Start a sync: POST /sync { mode: 'full'|'delta', kind: 'products'|'customers' } → 202 { id }
+// (409 if one of that kind is already running). POST only: starting a sync changes state.
+app.post('/sync', async (req, res) => {
+  try {
+    const requested = req.body?.mode ?? req.query.mode;
+    const mode = ['full', 'delta'].includes(requested) ? requested : 'auto';
+    const kind = req.body?.kind ?? req.query.kind ?? 'products';
+    if (!SYNC_KINDS[kind]) return res.status(400).json({ error: `kind must be one of ${Object.keys(SYNC_KINDS).join(', ')}` });
+    const { started, run } = await startSyncRun({ kind, mode, trigger: 'manual' });
+    if (!started) return res.status(409).json({ error: 'Sync already running', id: run.id });
+    res.status(202).json({ id: run.id, kind: run.kind, status: run.status, mode: run.mode });
+  } catch (e) {
+    console.error('POST /sync', e);
+    res.status(500).json({ error: 'Failed to start sync' });
+  }
 });
 
-// --- Products API ---
-// List/search products: GET /products?q=...&take=200
-app.get('/products', async (req, res) => {
+// Recent runs: GET /sync/runs?take=20
+app.get('/sync/runs', async (req, res) => {
   try {
-    const q = (req.query.q || '').toString().trim();
-    const take = Math.min(parseInt(req.query.take || '500', 10), 1000);
-
-    const where = q ? {
-      OR: [
-        { stockCode:  { contains: q, mode: 'insensitive' } },
-        { sku:        { contains: q, mode: 'insensitive' } },
-        { name:       { contains: q, mode: 'insensitive' } },
-        { description:{ contains: q, mode: 'insensitive' } },
-      ],
-    } : {};
-
-    const products = await prisma.product.findMany({
-      where,
-      orderBy: { createdAt: 'desc' }, // change to updatedAt if desired
+    const take = Math.min(parseInt(req.query.take || '20', 10) || 20, 100);
+    const runs = await prisma.syncRun.findMany({
+      orderBy: { startedAt: 'desc' },
       take,
+      omit: { errors: true },
     });
-    res.json(products);
-  } catch (err) {
-    console.error('Failed to fetch products:', err?.message || err);
-    res.status(500).json({ error: 'Failed to fetch products' });
+    res.json({
+      activeRunId: (activeRuns.products ?? activeRuns.customers)?.id ?? null,
+      activeRunIds: Object.fromEntries(Object.keys(SYNC_KINDS).map(k => [k, activeRuns[k]?.id ?? null])),
+      runs,
+    });
+  } catch (e) {
+    console.error('GET /sync/runs', e);
+    res.status(500).json({ error: 'Failed to fetch sync runs' });
   }
 });
 
-// Single product by stockCode (for product page)
-app.get('/products/:stockCode', async (req, res) => {
+app.get('/sync/runs/:id', async (req, res) => {
   try {
-    const product = await prisma.product.findUnique({
-      where: { stockCode: req.params.stockCode },
-    });
-    if (!product) return res.status(404).json({ error: 'Not found' });
-    res.json(product);
+    const run = await prisma.syncRun.findUnique({ where: { id: Number(req.params.id) } });
+    if (!run) return res.status(404).json({ error: 'Not found' });
+    res.json(run);
   } catch (e) {
-    console.error('GET /products/:stockCode', e);
+    console.error('GET /sync/runs/:id', e);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// --- Products API ---
+app.use('/products', makeProductsRouter(prisma, { imageStore, auth }));
+
+// Stock locations seen during sync (for the location filter)
+app.get('/locations', staffOnly, async (_req, res) => {
+  try {
+    const rows = await prisma.productStock.groupBy({
+      by: ['locationId', 'locationName'],
+      _sum: { inStock: true },
+      orderBy: { locationId: 'asc' },
+    });
+    res.json(rows.map(r => ({ locationId: r.locationId, locationName: r.locationName, inStock: r._sum.inStock ?? 0 })));
+  } catch (e) {
+    console.error('GET /locations', e);
+    res.status(500).json({ error: 'Failed to fetch locations' });
+  }
+});
+
 // Serve product page at /product?stockCode=ABC
 app.get('/product', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'product.html'));
@@ -408,26 +1036,134 @@ app.get('/quote', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'quote.html'));
 });
 
+// --- EXO extra-field mapping config ---
+app.use('/field-mappings', adminOnly, makeFieldMappingsRouter(prisma));
+
+// --- Exchange rates for quotes in other currencies (edits are admin-only) ---
+app.use('/exchange-rates', staffOnly, makeExchangeRatesRouter(prisma, { auth, base: baseCurrency() }));
+
+// --- Webhook endpoints, event outbox and delivery log (admin) ---
+app.use('/webhooks', adminOnly, makeWebhooksRouter(prisma));
+
+// --- Email templates (admin) ---
+app.use('/email-templates', adminOnly, makeEmailTemplatesRouter(prisma));
+
+// --- Customers: EXO debtors plus local prospects ---
+app.use('/customers', makeCustomersRouter(prisma, { auth }));
+
+// One SMTP transport for the quotes routes and the outbox job; null without SMTP_HOST
+const mailer = makeTransporter(process.env);
+const MAIL_FROM = process.env.MAIL_FROM || 'Quotes <no-reply@example.com>';
+
 // --- Mount the Quotes API ---
 app.use(
   '/quotes',
   makeQuotesRouter(prisma, {
     APP_BASE_URL: process.env.APP_BASE_URL,
     QUOTE_TAX_RATE: process.env.QUOTE_TAX_RATE,
-    MAIL_FROM: process.env.MAIL_FROM,
-    SMTP_HOST: process.env.SMTP_HOST,
-    SMTP_PORT: process.env.SMTP_PORT,
-    SMTP_USER: process.env.SMTP_USER,
-    SMTP_PASS: process.env.SMTP_PASS,
+    QUOTE_TAX_CODE: process.env.QUOTE_TAX_CODE,
+    QUOTE_PRICES_INCLUDE_TAX: process.env.QUOTE_PRICES_INCLUDE_TAX,
+    EXO_PRICES_INCLUDE_TAX: process.env.EXO_PRICES_INCLUDE_TAX,
+    BASE_CURRENCY: process.env.BASE_CURRENCY,
+    MAIL_FROM,
+    transporter: mailer,
+    QUOTE_VALID_DAYS: process.env.QUOTE_VALID_DAYS,
+    QUOTE_NOTIFY_EMAIL: process.env.QUOTE_NOTIFY_EMAIL,
+    EXO_DEFAULT_DEBTOR_ID: process.env.EXO_DEFAULT_DEBTOR_ID,
+    QUOTE_RESERVE_STOCK: process.env.QUOTE_RESERVE_STOCK,
+    QUOTE_RESERVATION_DAYS: process.env.QUOTE_RESERVATION_DAYS,
+    QUOTE_REMINDER_DAYS: process.env.QUOTE_REMINDER_DAYS,
+    exo,
+    auth,
   })
 );
 
 // ---- Cron (hourly) ----
-cron.schedule('0 * * * *', () => {
+cron.schedule('0 * * * *', async () => {
   console.log('Cron: starting hourly sync...');
-  syncProducts();
+  try {
+    const { started, run } = await startSyncRun({ trigger: 'cron' });
+    if (!started) console.log(`Cron: sync run ${run.id} still in progress, skipping.`);
+  } catch (e) {
+    console.error('Cron: failed to start sync:', e?.message || e);
+  }
 });
 
+// ---- Cron: customers (EXO debtors) ----
+cron.schedule(process.env.CUSTOMER_SYNC_CRON || '30 * * * *', async () => {
+  try {
+    const { started, run } = await startSyncRun({ kind: 'customers', trigger: 'cron' });
+    if (!started) console.log(`Cron: customer sync run ${run.id} still in progress, skipping.`);
+  } catch (e) {
+    console.error('Cron: failed to start customer sync:', e?.message || e);
+  }
+});
+
+// ---- Cron: quote expiry ----
+async function runQuoteExpiry() {
+  try {
+    const expired = await expireOverdueQuotes(prisma);
+    if (expired.length) console.log(`Quote expiry: ${expired.length} quote(s) expired.`);
+    const released = await releaseStaleReservations(prisma);
+    if (released) console.log(`Quote expiry: ${released} stock reservation(s) released.`);
+  } catch (e) {
+    console.error('Quote expiry failed:', e?.message || e);
+  }
+}
+cron.schedule(process.env.QUOTE_EXPIRY_CRON || '15 * * * *', runQuoteExpiry);
+
+// ---- Cron: webhook deliveries ----
+let deliveringWebhooks = false;
+async function runWebhookDeliveries() {
+  if (deliveringWebhooks) return; // a slow endpoint can outlast the interval
+  deliveringWebhooks = true;
+  try {
+    const { delivered, retrying, failed } = await deliverDue(prisma);
+    if (delivered || retrying || failed) {
+      console.log(`Webhooks: ${delivered} delivered, ${retrying} to retry, ${failed} gave up.`);
+    }
+  } catch (e) {
+    console.error('Webhook deliveries failed:', e?.message || e);
+  } finally {
+    deliveringWebhooks = false;
+  }
+}
+cron.schedule(process.env.WEBHOOK_CRON || '* * * * *', runWebhookDeliveries);
+
+// ---- Cron: email outbox ----
+let sendingEmails = false;
+async function runEmailOutbox() {
+  if (!mailer || sendingEmails) return;
+  sendingEmails = true;
+  try {
+    const { sent, retrying, failed } = await deliverQueuedEmails(prisma, mailer, { from: MAIL_FROM });
+    if (sent || retrying || failed) console.log(`Emails: ${sent} sent, ${retrying} to retry, ${failed} gave up.`);
+  } catch (e) {
+    console.error('Email outbox failed:', e?.message || e);
+  } finally {
+    sendingEmails = false;
+  }
+}
+cron.schedule(process.env.EMAIL_CRON || '* * * * *', runEmailOutbox);
+
+// ---- Cron: quote reminders (QUOTE_REMINDER_DAYS) ----
+async function runQuoteReminders() {
+  const days = reminderDays(process.env);
+  if (!mailer || !days.length) return;
+  try {
+    const queued = await queueQuoteReminders(prisma, {
+      days,
+      appBaseUrl: process.env.APP_BASE_URL || 'http://localhost:3000',
+      brandName: brandFromEnv(process.env).name,
+    });
+    if (queued.length) console.log(`Quote reminders: ${queued.length} queued.`);
+    await runEmailOutbox();
+  } catch (e) {
+    console.error('Quote reminders failed:', e?.message || e);
+  }
+}
+cron.schedule(process.env.QUOTE_REMINDER_CRON || '45 * * * *', runQuoteReminders);
+
 // ---- Shutdown ----
 const shutdown = async () => {
   console.log('Shutting down gracefully...');
@@ -441,4 +1177,7 @@ process.on('SIGTERM', shutdown);
 process.on('SIGINT', shutdown);
 
 // ---- Start ----
+failOrphanedSyncRuns();
+runQuoteExpiry();
+auth.ensureInitialAdmin().catch(e => console.error('Initial admin:', e?.message || e));
 app.listen(port, '0.0.0.0', () => console.log(`App listening on port ${port}`));
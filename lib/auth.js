@@ -0,0 +1,175 @@
+// lib/auth.js
+// Staff sign-in (session cookie) and API keys, plus the role checks routes hang off.
+// Only hashes of session tokens and keys are stored; passwords use scrypt.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['READONLY', 'SALES', 'ADMIN']; // each role can do everything the ones before it can
+const SESSION_COOKIE = 'sid';
+const API_KEY_PREFIX = 'exo_';
+const MIN_PASSWORD_LENGTH = 10;
+
+function roleAtLeast(role, min) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(min);
+}
+
+// ---- Secrets
+
+// Stored as scrypt$<salt>$<hash>, both base64
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function sha256(v) {
+  return crypto.createHash('sha256').update(String(v)).digest('hex');
+}
+
+function newApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), keyHash: sha256(key) };
+}
+
+// Constant-time compare for share tokens and the like
+function sameSecret(a, b) {
+  const x = Buffer.from(String(a ?? ''));
+  const y = Buffer.from(String(b ?? ''));
+  return x.length === y.length && x.length > 0 && crypto.timingSafeEqual(x, y);
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) {
+      try { return decodeURIComponent(part.slice(i + 1).trim()); } catch { return null; }
+    }
+  }
+  return null;
+}
+
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return m ? m[1] : req.get('x-api-key') || null;
+}
+
+// ---- Middleware
+
+// auth.identify runs on every request and sets req.staff = { id, email, name, role, via } when
+// the caller has a live session or API key. auth.requireRole(min) turns anonymous callers away
+// with 401 and under-privileged ones with 403.
+function makeAuth(prisma, env = {}) {
+  const SESSION_HOURS = Number(env.SESSION_HOURS ?? process.env.SESSION_HOURS ?? 12) || 12;
+
+  async function fromApiKey(key) {
+    if (!key.startsWith(API_KEY_PREFIX)) return null;
+    const row = await prisma.apiKey.findUnique({ where: { keyHash: sha256(key) } });
+    if (!row || row.revokedAt) return null;
+    // lastUsedAt only needs to be roughly right
+    if (!row.lastUsedAt || Date.now() - row.lastUsedAt.getTime() > 60 * 1000) {
+      prisma.apiKey.update({ where: { id: row.id }, data: { lastUsedAt: new Date() } })
+        .catch(e => console.warn('API key lastUsedAt:', e?.message || e));
+    }
+    return { id: null, apiKeyId: row.id, email: null, name: row.name, role: row.role, via: 'apiKey' };
+  }
+
+  async function fromSession(token) {
+    const s = await prisma.staffSession.findUnique({
+      where: { tokenHash: sha256(token) },
+      include: { User: true },
+    });
+    if (!s || s.expiresAt < new Date() || !s.User.active) return null;
+    const u = s.User;
+    return { id: u.id, email: u.email, name: u.name, role: u.role, via: 'session', sessionId: s.id };
+  }
+
+  async function identify(req, _res, next) {
+    try {
+      const key = bearerToken(req);
+      const sid = readCookie(req, SESSION_COOKIE);
+      req.staff = (key && await fromApiKey(key)) || (sid && await fromSession(sid)) || null;
+      next();
+    } catch (e) {
+      next(e);
+    }
+  }
+
+  function requireRole(min) {
+    return (req, res, next) => {
+      if (!req.staff) return res.status(401).json({ error: 'Sign in required' });
+      if (!roleAtLeast(req.staff.role, min)) return res.status(403).json({ error: `Requires ${min} access` });
+      next();
+    };
+  }
+
+  // → { token, session }; the token only ever goes into the cookie
+  async function startSession(user, req) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const session = await prisma.staffSession.create({
+      data: {
+        userId: user.id,
+        tokenHash: sha256(token),
+        expiresAt: new Date(Date.now() + SESSION_HOURS * 60 * 60 * 1000),
+        ip: req.ip || null,
+        userAgent: String(req.get('user-agent') || '').slice(0, 500) || null,
+      },
+    });
+    return { token, session };
+  }
+
+  function setSessionCookie(req, res, token, expires) {
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax', // no cross-site POSTs ride on the session
+      secure: req.secure,
+      expires,
+      path: '/',
+    });
+  }
+
+  function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+  }
+
+  // First run: ADMIN_EMAIL / ADMIN_PASSWORD create the initial admin if there are no staff yet
+  async function ensureInitialAdmin() {
+    const email = String(env.ADMIN_EMAIL ?? process.env.ADMIN_EMAIL ?? '').trim().toLowerCase();
+    const password = env.ADMIN_PASSWORD ?? process.env.ADMIN_PASSWORD;
+    if (await prisma.staffUser.count()) return null;
+    if (!email || !password) {
+      console.warn('⚠️ No staff accounts yet: set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin.');
+      return null;
+    }
+    const user = await prisma.staffUser.create({
+      data: { email, name: 'Administrator', role: 'ADMIN', passwordHash: await hashPassword(password) },
+    });
+    console.log(`Created initial admin ${email}`);
+    return user;
+  }
+
+  return {
+    identify, requireRole, startSession, setSessionCookie, clearSessionCookie, ensureInitialAdmin,
+  };
+}
+
+module.exports = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  roleAtLeast,
+  hashPassword,
+  verifyPassword,
+  sha256,
+  newApiKey,
+  sameSecret,
+  makeAuth,
+};
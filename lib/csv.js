@@ -0,0 +1,91 @@
+// lib/csv.js
+// Just enough CSV (RFC 4180: quoted fields, doubled quotes, CRLF or LF) for the catalogue
+// export and quote-line import. Spreadsheets are the audience on both ends.
+
+// Text cells starting with = + - @ would run as formulas when opened in a spreadsheet
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  if (v == null) return '';
+  if (v instanceof Date) return v.toISOString();
+  let s = String(v);
+  if (typeof v === 'string' && FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvRow(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+// → [[cell, …], …]; blank lines are dropped. A leading BOM (Excel's UTF-8 export) is ignored.
+function parseCsv(text) {
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && cell === '') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(cell); cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      rows.push(row); row = [];
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+// ---- Quote line import
+
+const MAX_IMPORT_ROWS = 1000;
+const CODE_HEADER = /^(stock\s*code|stockcode|code|item|sku)$/i;
+const QTY_HEADER = /^(qty|quantity)$/i;
+
+// CSV of stock codes and quantities → { rows: [{ row, stockCode, qty, error? }] } or { error }.
+// A header row naming the columns ("Stock code", "Qty"…) is optional; without one the first
+// column is the stock code and the second the quantity. A blank quantity means 1. `row` is the
+// 1-based line in the file, so the report can point at it.
+function parseLineImport(text) {
+  const table = parseCsv(text);
+  if (!table.length) return { error: 'CSV is empty' };
+
+  let codeCol = 0;
+  let qtyCol = 1;
+  let start = 0;
+  const header = table[0].map(v => v.trim());
+  if (header.some(v => CODE_HEADER.test(v))) {
+    codeCol = header.findIndex(v => CODE_HEADER.test(v));
+    qtyCol = header.findIndex(v => QTY_HEADER.test(v));
+    start = 1;
+  }
+  if (table.length - start > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} rows per import` };
+  if (table.length === start) return { error: 'CSV has no rows after the header' };
+
+  const rows = table.slice(start).map((cells, i) => {
+    const row = i + start + 1;
+    const stockCode = (cells[codeCol] ?? '').trim();
+    const rawQty = qtyCol >= 0 ? (cells[qtyCol] ?? '').trim() : '';
+    const qty = rawQty === '' ? 1 : Number(rawQty);
+    if (!stockCode) return { row, stockCode, qty, error: 'stock code missing' };
+    if (!Number.isInteger(qty) || qty < 1) return { row, stockCode, qty: rawQty, error: 'qty must be a whole number of 1 or more' };
+    return { row, stockCode, qty };
+  });
+  return { rows };
+}
+
+module.exports = {
+  csvRow,
+  parseCsv,
+  parseLineImport,
+};
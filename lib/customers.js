@@ -0,0 +1,156 @@
+// lib/customers.js
+// Customer records: EXO debtor → Customer mapping for the sync, input parsing for local
+// prospects, and the search used by GET /customers and the quote page's picker.
+
+const CONTACT_FIELDS = ['name', 'email', 'phone', 'mobile', 'position'];
+const ADDRESS_FIELDS = ['line1', 'line2', 'line3', 'city', 'state', 'postcode', 'country'];
+const ADDRESS_KINDS = ['POSTAL', 'DELIVERY', 'OTHER'];
+
+function first(...vals) {
+  for (const v of vals) {
+    if (v !== undefined && v !== null && String(v).trim() !== '') return String(v).trim();
+  }
+  return null;
+}
+
+function clip(v, max) {
+  const s = v == null ? '' : String(v).trim();
+  return s ? s.slice(0, max) : null;
+}
+
+// EXO addresses come as { line1..line5, postcode } or { address1.., suburb, state, ... }
+function exoAddress(a, kind) {
+  if (!a || typeof a !== 'object') return null;
+  const lines = [a.line1, a.line2, a.line3, a.address1, a.address2, a.address3].map(v => first(v)).filter(Boolean);
+  const address = {
+    kind,
+    line1: lines[0] ?? null,
+    line2: lines[1] ?? null,
+    line3: lines[2] ?? null,
+    city: first(a.city, a.suburb, a.line4, a.address4),
+    state: first(a.state, a.line5, a.address5),
+    postcode: first(a.postcode, a.postCode, a.zip),
+    country: first(a.country),
+  };
+  return ADDRESS_FIELDS.some(f => address[f]) ? { ...address, fromExo: true } : null;
+}
+
+function exoContact(c, isPrimary) {
+  if (!c || typeof c !== 'object') return null;
+  const name = first(c.fullname, c.name, [c.firstname, c.lastname].filter(Boolean).join(' '));
+  if (!name) return null;
+  return {
+    fromExo: true,
+    isPrimary,
+    name: name.slice(0, 200),
+    email: clip(first(c.email, c.emailaddress), 320),
+    phone: clip(first(c.phone, c.directphone, c.workphone), 50),
+    mobile: clip(first(c.mobile, c.mobilephone), 50),
+    position: clip(first(c.title, c.position, c.jobtitle), 100),
+  };
+}
+
+// EXO debtor → { data (Customer columns), contacts, addresses }
+function mapDebtorDetails(details, briefId) {
+  const level = Number(first(details?.pricelevel, details?.pricenumber, details?.priceno));
+  const contactRows = [details?.contacts, details?.contactlist].find(Array.isArray) || [];
+  const primary = details?.primarycontact && typeof details.primarycontact === 'object' ? details.primarycontact : null;
+  const contacts = [
+    primary && exoContact(primary, true),
+    ...contactRows.map(c => exoContact(c, false)),
+  ].filter(Boolean)
+    .filter((c, i, all) => all.findIndex(o => o.name === c.name && o.email === c.email) === i);
+
+  return {
+    data: {
+      exoDebtorId: Number(details?.id ?? briefId),
+      name: (first(details?.accountname, details?.name, details?.companyname) ?? `Debtor ${details?.id ?? briefId}`).slice(0, 200),
+      email: clip(first(details?.email, details?.emailaddress), 320),
+      phone: clip(first(details?.phone, details?.phonenumber), 50),
+      priceLevel: Number.isInteger(level) && level >= 1 ? level : null,
+    },
+    contacts,
+    addresses: [
+      exoAddress(details?.postaladdress, 'POSTAL'),
+      exoAddress(details?.deliveryaddress, 'DELIVERY'),
+    ].filter(Boolean),
+  };
+}
+
+// ---- Local input
+
+// { name, email?, phone?, priceLevel?, notes?, contacts?, addresses? } → { data, contacts, addresses }
+// or { error }. `partial` for PATCH (only what was sent). contacts/addresses replace the local ones.
+function parseCustomerInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  if (body.name !== undefined || !partial) {
+    data.name = clip(body.name, 200);
+    if (!data.name) return { error: 'name required' };
+  }
+  if (body.email !== undefined) data.email = clip(body.email, 320);
+  if (data.email && !data.email.includes('@')) return { error: 'email must be an email address' };
+  if (body.phone !== undefined) data.phone = clip(body.phone, 50);
+  if (body.notes !== undefined) data.notes = clip(body.notes, 5000);
+  if (body.priceLevel !== undefined) {
+    const n = Number(body.priceLevel);
+    if (body.priceLevel !== null && !(Number.isInteger(n) && n >= 1)) return { error: 'priceLevel must be a positive integer' };
+    data.priceLevel = body.priceLevel === null ? null : n;
+  }
+
+  let contacts;
+  if (body.contacts !== undefined) {
+    if (!Array.isArray(body.contacts)) return { error: 'contacts must be an array' };
+    contacts = [];
+    for (const [i, c] of body.contacts.entries()) {
+      const row = { isPrimary: c?.isPrimary === true };
+      for (const f of CONTACT_FIELDS) row[f] = clip(c?.[f], f === 'email' ? 320 : 200);
+      if (!row.name) return { error: `contacts[${i}].name required` };
+      contacts.push(row);
+    }
+  }
+
+  let addresses;
+  if (body.addresses !== undefined) {
+    if (!Array.isArray(body.addresses)) return { error: 'addresses must be an array' };
+    addresses = [];
+    for (const [i, a] of body.addresses.entries()) {
+      const kind = String(a?.kind ?? 'POSTAL').toUpperCase();
+      if (!ADDRESS_KINDS.includes(kind)) return { error: `addresses[${i}].kind must be one of ${ADDRESS_KINDS.join(', ')}` };
+      const row = { kind };
+      for (const f of ADDRESS_FIELDS) row[f] = clip(a?.[f], 200);
+      addresses.push(row);
+    }
+  }
+
+  return { data, contacts, addresses };
+}
+
+// ---- Search
+
+// ?q= matches name, email, phone, contact names/emails, or an exact EXO debtor id
+function customerSearchWhere({ q, includeInactive = false } = {}) {
+  const and = [];
+  if (!includeInactive) and.push({ active: true });
+  const term = String(q ?? '').trim();
+  if (term) {
+    const or = [
+      { name: { contains: term, mode: 'insensitive' } },
+      { email: { contains: term, mode: 'insensitive' } },
+      { phone: { contains: term } },
+      { contacts: { some: { OR: [
+        { name: { contains: term, mode: 'insensitive' } },
+        { email: { contains: term, mode: 'insensitive' } },
+      ] } } },
+    ];
+    if (/^\d+$/.test(term) && Number(term) <= 2147483647) or.push({ exoDebtorId: Number(term) });
+    and.push({ OR: or });
+  }
+  return and.length ? { AND: and } : {};
+}
+
+module.exports = {
+  ADDRESS_KINDS,
+  mapDebtorDetails,
+  parseCustomerInput,
+  customerSearchWhere,
+};
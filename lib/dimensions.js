@@ -0,0 +1,139 @@
+// lib/dimensions.js
+// Rug dimension parsing/formatting. Everything is normalised to centimetres for storage;
+// the unit EXO used is kept alongside so we can show it back the way it was entered.
+
+const CM_PER_UNIT = { mm: 0.1, cm: 1, m: 100, in: 2.54, ft: 30.48 };
+const SQFT_PER_M2 = 10.7639;
+
+const DEFAULT_UNIT = normaliseUnit(process.env.DIMENSION_DEFAULT_UNIT) || 'cm';
+
+// Longest alternatives first so "mm" isn't read as "m"
+const UNIT_PATTERN = "millimet(?:re|er)s?|mm|centimet(?:re|er)s?|cm|met(?:re|er)s?|m|feet|foot|ft|inch(?:es)?|in|'|′|\"|″";
+const NUM = '(\\d+(?:\\.\\d+)?)';
+const FEET_INCHES_RE = new RegExp(`^${NUM}\\s*(?:'|′|ft|feet|foot)\\s*${NUM}\\s*(?:"|″|in|inch(?:es)?)?$`);
+const VALUE_RE = new RegExp(`^${NUM}\\s*(${UNIT_PATTERN})?(?![a-z])`);
+
+function normaliseUnit(u) {
+  if (!u) return null;
+  const s = String(u).trim().toLowerCase();
+  if (/^(mm|millimet(re|er)s?)$/.test(s)) return 'mm';
+  if (/^(cm|centimet(re|er)s?)$/.test(s)) return 'cm';
+  if (/^(m|met(re|er)s?)$/.test(s)) return 'm';
+  if (/^(ft|feet|foot|'|′)$/.test(s)) return 'ft';
+  if (/^(in|inch(es)?|"|″)$/.test(s)) return 'in';
+  return null;
+}
+
+// Unit implied by a field label such as "Length (mm)" or "widthcm"
+function unitFromLabel(label) {
+  if (!label) return null;
+  const s = String(label).toLowerCase();
+  const paren = s.match(/\(\s*([a-z'"]+)\s*\)/);
+  if (paren) return normaliseUnit(paren[1]);
+  const tail = s.replace(/[^a-z]/g, '').match(/(mm|cm)$/);
+  return tail ? tail[1] : null;
+}
+
+function round(n, dp) {
+  const f = 10 ** dp;
+  return Math.round(n * f) / f;
+}
+
+// Lower-cases, turns decimal commas into points and drops leading text like "approx"
+function cleanNumberText(val) {
+  return String(val).trim().toLowerCase().replace(/(\d),(\d)/g, '$1.$2').replace(/^[^\d]+/, '');
+}
+
+// "2.4m" | "240cm" | "2400 mm" | "8'" | "8'6\"" | 96 → { value, unit, cm }, or null.
+// Bare numbers take `fallbackUnit`.
+function parseDimension(val, fallbackUnit = DEFAULT_UNIT) {
+  if (val == null || val === '') return null;
+  if (typeof val === 'number') {
+    if (!Number.isFinite(val) || val <= 0) return null;
+    return { value: val, unit: fallbackUnit, cm: round(val * CM_PER_UNIT[fallbackUnit], 2) };
+  }
+
+  const s = cleanNumberText(val);
+  const fi = s.match(FEET_INCHES_RE);
+  if (fi) {
+    const feet = parseFloat(fi[1]) + parseFloat(fi[2]) / 12;
+    return { value: round(feet, 4), unit: 'ft', cm: round(feet * CM_PER_UNIT.ft, 2) };
+  }
+
+  const m = s.match(VALUE_RE);
+  if (!m) return null;
+  const value = parseFloat(m[1]);
+  if (Number.isNaN(value) || value <= 0) return null;
+  const unit = normaliseUnit(m[2]) || fallbackUnit;
+  return { value, unit, cm: round(value * CM_PER_UNIT[unit], 2) };
+}
+
+// "240 x 170 cm" | "8'x10'" | "2.4m × 1.7m" → { length, width } (either may be null).
+// A unit written on only one side applies to both.
+function parseSize(val, fallbackUnit = DEFAULT_UNIT) {
+  if (val == null || val === '') return { length: null, width: null };
+  const parts = cleanNumberText(val).split(/\s*(?:x|×|\*|by)\s*/).filter(Boolean);
+  if (parts.length < 2) return { length: null, width: null };
+
+  // Unit written explicitly on one side, if any
+  const unitOf = (p) => (FEET_INCHES_RE.test(p) ? 'ft' : normaliseUnit(p.match(VALUE_RE)?.[2]));
+  const shared = unitOf(parts[1]) || unitOf(parts[0]) || fallbackUnit;
+  return {
+    length: parseDimension(parts[0], shared),
+    width: parseDimension(parts[1], shared),
+  };
+}
+
+function areaM2(lengthCm, widthCm) {
+  if (!lengthCm || !widthCm) return null;
+  return round((lengthCm * widthCm) / 10000, 4);
+}
+
+function formatLength(cm, system = 'metric') {
+  if (cm == null) return null;
+  if (system === 'imperial') {
+    const totalIn = Math.round(cm / CM_PER_UNIT.in);
+    const ft = Math.floor(totalIn / 12);
+    const inch = totalIn % 12;
+    return inch ? `${ft}'${inch}"` : `${ft}'`;
+  }
+  return `${round(cm, 1)} cm`;
+}
+
+function formatSize(lengthCm, widthCm, system = 'metric') {
+  if (!lengthCm || !widthCm) return null;
+  if (system === 'imperial') return `${formatLength(lengthCm, system)} x ${formatLength(widthCm, system)}`;
+  return `${round(lengthCm, 1)} x ${round(widthCm, 1)} cm`;
+}
+
+function formatArea(m2, system = 'metric') {
+  if (!m2) return null;
+  return system === 'imperial'
+    ? `${round(m2 * SQFT_PER_M2, 1)} sq ft`
+    : `${round(m2, 2)} m²`;
+}
+
+// Display block for anything carrying lengthCm/widthCm/areaM2 (Product, QuoteItem)
+function presentDimensions(row, system = 'metric') {
+  const sys = system === 'imperial' ? 'imperial' : 'metric';
+  return {
+    system: sys,
+    length: formatLength(row.lengthCm, sys),
+    width: formatLength(row.widthCm, sys),
+    size: formatSize(row.lengthCm, row.widthCm, sys),
+    area: formatArea(row.areaM2, sys),
+  };
+}
+
+module.exports = {
+  DEFAULT_UNIT,
+  normaliseUnit,
+  unitFromLabel,
+  parseDimension,
+  parseSize,
+  areaM2,
+  formatLength,
+  formatSize,
+  formatArea,
+  presentDimensions,
+};
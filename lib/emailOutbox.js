@@ -0,0 +1,110 @@
+// lib/emailOutbox.js
+// Every email goes through EmailMessage: it is written first (so there's a record even if SMTP
+// is down), then sent — straight away by whoever queued it, and by the scheduled job for
+// anything still QUEUED. Failed sends retry with backoff until MAX_ATTEMPTS, then FAILED.
+//
+// For local testing point SMTP_HOST/SMTP_PORT at any SMTP catcher (MailHog, smtp4dev…);
+// with no SMTP_HOST there is no transporter and nothing can be queued.
+const nodemailer = require('nodemailer');
+
+const MAX_ATTEMPTS = 6;
+const RETRY_DELAYS_MS = [1, 5, 15, 60, 240].map(m => m * 60 * 1000);
+const LEASE_MS = 2 * 60 * 1000; // a claimed message is left alone this long
+const BATCH = 20;
+
+// SMTP_HOST, SMTP_PORT (587), SMTP_USER/SMTP_PASS → nodemailer transport, or null
+function makeTransporter(env = {}) {
+  const get = (k) => env[k] ?? process.env[k];
+  if (!get('SMTP_HOST')) return null;
+  return nodemailer.createTransport({
+    host: get('SMTP_HOST'),
+    port: Number(get('SMTP_PORT') || 587),
+    secure: false,
+    auth: get('SMTP_USER') ? { user: get('SMTP_USER'), pass: get('SMTP_PASS') } : undefined,
+    connectionTimeout: 15 * 1000,
+    socketTimeout: 30 * 1000,
+  });
+}
+
+// { quoteId?, kind, revision?, to, subject, html, attachment?, attachmentName? } → EmailMessage.
+// Pass a transaction client as `db` to queue together with other writes.
+function queueEmail(db, message) {
+  return db.emailMessage.create({ data: message });
+}
+
+async function claim(prisma, message) {
+  const { count } = await prisma.emailMessage.updateMany({
+    where: { id: message.id, status: 'QUEUED', attempts: message.attempts },
+    data: { nextAttemptAt: new Date(Date.now() + LEASE_MS), attempts: message.attempts + 1 },
+  });
+  return count === 1;
+}
+
+// One attempt at a QUEUED message → the updated row (unchanged if someone else has it)
+async function sendQueuedEmail(prisma, transporter, message, { from }) {
+  if (!(await claim(prisma, message))) return prisma.emailMessage.findUnique({ where: { id: message.id } });
+  const attempts = message.attempts + 1;
+  try {
+    const info = await transporter.sendMail({
+      from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      attachments: message.attachment
+        ? [{ filename: message.attachmentName || 'attachment', content: Buffer.from(message.attachment) }]
+        : undefined,
+    });
+    return prisma.emailMessage.update({
+      where: { id: message.id },
+      data: { status: 'SENT', sentAt: new Date(), nextAttemptAt: null, lastError: null, messageId: info?.messageId ?? null },
+    });
+  } catch (err) {
+    const lastError = String(err?.message || err).slice(0, 1000);
+    const giveUp = attempts >= MAX_ATTEMPTS;
+    console.warn(`Email ${message.id} to ${message.to}: attempt ${attempts} failed: ${lastError}`);
+    return prisma.emailMessage.update({
+      where: { id: message.id },
+      data: giveUp
+        ? { status: 'FAILED', nextAttemptAt: null, lastError }
+        : { nextAttemptAt: new Date(Date.now() + RETRY_DELAYS_MS[Math.min(attempts, RETRY_DELAYS_MS.length) - 1]), lastError },
+    });
+  }
+}
+
+// Scheduled job: sends everything due → { sent, retrying, failed }
+async function deliverQueuedEmails(prisma, transporter, { from, now = new Date() }) {
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+  if (!transporter) return summary;
+  for (;;) {
+    const due = await prisma.emailMessage.findMany({
+      where: { status: 'QUEUED', nextAttemptAt: { lte: now } },
+      orderBy: { id: 'asc' },
+      take: BATCH,
+    });
+    for (const m of due) {
+      const done = await sendQueuedEmail(prisma, transporter, m, { from });
+      if (done.status === 'SENT') summary.sent++;
+      else if (done.status === 'FAILED') summary.failed++;
+      else summary.retrying++;
+    }
+    if (due.length < BATCH) return summary;
+  }
+}
+
+// Manual retry of a FAILED (or stuck QUEUED) message: a fresh set of attempts, the first now
+async function retryEmail(prisma, transporter, id, { from }) {
+  const message = await prisma.emailMessage.update({
+    where: { id },
+    data: { status: 'QUEUED', attempts: 0, nextAttemptAt: new Date() },
+  });
+  return sendQueuedEmail(prisma, transporter, message, { from });
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  makeTransporter,
+  queueEmail,
+  sendQueuedEmail,
+  deliverQueuedEmails,
+  retryEmail,
+};
@@ -0,0 +1,42 @@
+// lib/exchangeRates.js
+// Quoting in other currencies. EXO prices are in the base currency (BASE_CURRENCY, AUD by
+// default); an ExchangeRate row says how many units of a currency one base unit buys. A quote
+// keeps the rate it was priced at (Quote.exchangeRate), so later rate edits don't move it.
+const { Prisma } = require('@prisma/client');
+
+function baseCurrency(env = {}) {
+  return String(env.BASE_CURRENCY ?? process.env.BASE_CURRENCY ?? 'AUD').toUpperCase();
+}
+
+// → 'USD' or null
+function parseCurrency(v) {
+  const code = String(v ?? '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+// → { value } (Decimal) or { error }
+function parseRate(v) {
+  const n = Number(v);
+  if (v == null || v === '' || !Number.isFinite(n) || n <= 0) return { error: 'rate must be a number greater than 0' };
+  return { value: new Prisma.Decimal(v).toDecimalPlaces(6) };
+}
+
+// Rate to snapshot on a quote in `currency` → { rate, at } or null when there's no rate for it
+async function currentRate(prisma, currency, base) {
+  if (currency === base) return { rate: new Prisma.Decimal(1), at: null };
+  const row = await prisma.exchangeRate.findUnique({ where: { currency } });
+  return row ? { rate: row.rate, at: row.updatedAt } : null;
+}
+
+// Base-currency amount → quote currency, to the cent
+function toQuoteCurrency(amount, rate) {
+  return new Prisma.Decimal(amount ?? 0).mul(rate ?? 1).toDecimalPlaces(2);
+}
+
+module.exports = {
+  baseCurrency,
+  parseCurrency,
+  parseRate,
+  currentRate,
+  toQuoteCurrency,
+};
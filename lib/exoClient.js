@@ -0,0 +1,335 @@
+// lib/exoClient.js
+// The one way we talk to the EXO API. Every request goes through, in order:
+//   - a circuit breaker: after EXO_BREAKER_THRESHOLD consecutive failures (network errors, 5xx)
+//     calls fail fast with code EXO_UNAVAILABLE for EXO_BREAKER_COOLDOWN_MS, then one trial
+//     request decides whether to close it again
+//   - a concurrency cap (EXO_CONCURRENCY requests in flight)
+//   - a token bucket (EXO_RATE_LIMIT requests/second, bursts of EXO_RATE_BURST); a 429 pauses
+//     the whole bucket for its Retry-After so other callers back off too
+// Reads that fail transiently (network, 5xx, 429) are retried with exponential backoff and
+// jitter, honouring Retry-After. Writes are only retried on 429, which EXO sends before doing
+// anything; a POST that timed out may still have happened (see lib/exoSalesOrders.js).
+//
+// What a 404 means depends on the endpoint, so callers say which they're making:
+//   get(path)            404 throws like any other error (axios error with .response)
+//   getOne(path)         404 → null: that record doesn't exist
+//   getPage(res, p, n)   404 → []: past the last page
+const axios = require('axios');
+const http = require('http');
+const https = require('https');
+
+const TRANSIENT_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ECONNABORTED', 'EPIPE'];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// EXO_* env → options for makeExoClient
+function exoClientOptions(env = {}) {
+  const num = (k, fallback) => {
+    const n = Number(env[k] ?? process.env[k]);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  const ratePerSecond = num('EXO_RATE_LIMIT', 8);
+  return {
+    concurrency: Math.floor(num('EXO_CONCURRENCY', 4)),
+    ratePerSecond,
+    burst: num('EXO_RATE_BURST', 2),
+    maxRetries: Math.floor(num('EXO_MAX_RETRIES', 6)),
+    breakerThreshold: Math.floor(num('EXO_BREAKER_THRESHOLD', 5)),
+    breakerCooldownMs: num('EXO_BREAKER_COOLDOWN_MS', 30 * 1000),
+  };
+}
+
+// Retry-After as seconds or an HTTP date → ms to wait, or null
+function retryAfterMs(value, now = Date.now()) {
+  if (value == null || value === '') return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+// Exponential with "equal jitter": half the step is fixed, half random, so retries from
+// parallel callers spread out but never collapse to zero
+function backoffMs(attempt, { baseMs = 500, maxMs = 30 * 1000, random = Math.random } = {}) {
+  const step = Math.min(maxMs, baseMs * 2 ** Math.max(attempt - 1, 0));
+  return Math.round(step / 2 + random() * (step / 2));
+}
+
+// Token bucket; take() resolves when a request may start. Waiters are served in order.
+function makeRateLimiter({ ratePerSecond, burst = ratePerSecond, now = Date.now }) {
+  let tokens = burst;
+  let last = now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const t = now();
+    tokens = Math.min(burst, tokens + ((t - last) / 1000) * ratePerSecond);
+    last = t;
+  };
+  async function takeOne() {
+    for (;;) {
+      const paused = pausedUntil - now();
+      if (paused > 0) { await sleep(paused); continue; }
+      refill();
+      if (tokens >= 1) { tokens -= 1; return; }
+      await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+    }
+  }
+  return {
+    take() {
+      const turn = queue.then(takeOne);
+      queue = turn.catch(() => {});
+      return turn;
+    },
+    // Nobody starts a request before then (EXO said slow down)
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, now() + ms);
+      tokens = 0;
+    },
+  };
+}
+
+function makeSemaphore(limit) {
+  let active = 0;
+  const waiting = [];
+  return {
+    async run(fn) {
+      if (active >= limit) await new Promise(r => waiting.push(r));
+      else active++;
+      try {
+        return await fn();
+      } finally {
+        const next = waiting.shift();
+        if (next) next(); // the slot passes straight to the next waiter
+        else active--;
+      }
+    },
+    get active() { return active; },
+    get waiting() { return waiting.length; },
+  };
+}
+
+function makeCircuitBreaker({ threshold, cooldownMs, now = Date.now }) {
+  let state = 'closed'; // closed | open | half-open
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  const open = () => { state = 'open'; openedAt = now(); trialInFlight = false; };
+  return {
+    // Throws EXO_UNAVAILABLE instead of letting a request through while EXO looks down
+    check() {
+      if (state === 'open' && now() - openedAt >= cooldownMs) state = 'half-open';
+      if (state === 'closed') return;
+      if (state === 'half-open' && !trialInFlight) { trialInFlight = true; return; }
+      const retryAt = new Date(openedAt + cooldownMs);
+      const err = new Error(`EXO unavailable after ${failures} consecutive failures; next try after ${retryAt.toISOString()}`);
+      err.code = 'EXO_UNAVAILABLE';
+      err.retryAt = retryAt;
+      throw err;
+    },
+    success() { state = 'closed'; failures = 0; trialInFlight = false; },
+    failure() {
+      failures++;
+      if (state === 'half-open' || failures >= threshold) open();
+    },
+    // A request that got an answer that says nothing about EXO's health (4xx)
+    release() { if (state === 'half-open') trialInFlight = false; },
+    get state() { return state; },
+    get failures() { return failures; },
+    get openedAt() { return state === 'closed' ? null : new Date(openedAt); },
+  };
+}
+
+const isUnavailable = (err) => err?.code === 'EXO_UNAVAILABLE';
+
+// Network trouble or EXO itself failing (not throttling, not "no")
+function isTransient(err) {
+  const status = err?.response?.status;
+  if (status) return status >= 500;
+  return TRANSIENT_CODES.includes(err?.code) || Boolean(err?.request);
+}
+
+function describe(err, url) {
+  const status = err?.response?.status;
+  if (!status) return `${url} → ${err?.code || err?.message}`;
+  const data = err.response.data;
+  const body = typeof data === 'string' ? data : data instanceof Buffer ? '' : JSON.stringify(data ?? '');
+  return `HTTP ${status} for ${url}${body ? ` → ${body.slice(0, 800)}` : ''}`;
+}
+
+// { baseUrl, auth: { username, password }, headers, ...exoClientOptions() } → client
+function makeExoClient({
+  baseUrl,
+  auth,
+  headers = {},
+  concurrency = 4,
+  ratePerSecond = 8,
+  burst = 2,
+  maxRetries = 6,
+  breakerThreshold = 5,
+  breakerCooldownMs = 30 * 1000,
+  timeoutMs = 45 * 1000,
+  backoff = {},
+  http: httpClient,
+} = {}) {
+  const client = httpClient || axios.create({
+    timeout: timeoutMs,
+    httpAgent: new http.Agent({ keepAlive: true }),
+    httpsAgent: new https.Agent({ keepAlive: true }),
+  });
+  const limiter = makeRateLimiter({ ratePerSecond, burst });
+  const slots = makeSemaphore(concurrency);
+  const breaker = makeCircuitBreaker({ threshold: breakerThreshold, cooldownMs: breakerCooldownMs });
+  const counters = { requests: 0, retries: 0, throttled: 0, failures: 0 };
+
+  const urlOf = (pathOrUrl) => (/^https?:\/\//i.test(pathOrUrl)
+    ? pathOrUrl
+    : `${baseUrl}${pathOrUrl.startsWith('/') ? '' : '/'}${pathOrUrl}`);
+
+  // opts: { data, headers, responseType, retries, giveUpOn: [statuses not to retry] }
+  async function request(method, pathOrUrl, { data, retries, giveUpOn = [], ...opts } = {}) {
+    const url = urlOf(pathOrUrl);
+    const read = method === 'get';
+    const maxAttempts = 1 + (retries ?? maxRetries);
+
+    for (let attempt = 1; ; attempt++) {
+      breaker.check();
+      let res;
+      let err;
+      await slots.run(async () => {
+        await limiter.take();
+        counters.requests++;
+        try {
+          res = await client.request({ method, url, data, auth, ...opts, headers: { ...headers, ...opts.headers } });
+        } catch (e) {
+          err = e;
+        }
+      });
+      if (!err) {
+        breaker.success();
+        return res;
+      }
+
+      const status = err?.response?.status;
+      const throttled = status === 429;
+      const transient = isTransient(err);
+      if (transient) breaker.failure();
+      else breaker.release();
+
+      const retryable = (throttled || (read && transient)) && !giveUpOn.includes(status);
+      if (!retryable || attempt >= maxAttempts) {
+        counters.failures++;
+        if (status !== 404) console.warn(`EXO ${method.toUpperCase()} failed: ${describe(err, url)}`);
+        throw err;
+      }
+
+      const wait = retryAfterMs(err.response?.headers?.['retry-after']) ?? backoffMs(attempt, backoff);
+      if (throttled) {
+        counters.throttled++;
+        limiter.pause(wait);
+      }
+      counters.retries++;
+      console.warn(`EXO ${method.toUpperCase()} attempt ${attempt} failed (${status || err.code || err.message}) for ${url}; retrying in ${wait}ms`);
+      await sleep(wait);
+    }
+  }
+
+  return {
+    // → response body; any error status throws
+    async get(path, opts) {
+      return (await request('get', path, opts)).data;
+    },
+
+    async post(path, body, opts = {}) {
+      return (await request('post', path, {
+        ...opts,
+        data: body,
+        headers: { 'Content-Type': 'application/json', ...opts.headers },
+      })).data;
+    },
+
+    // One record (e.g. /stockitem/123) → body, or null when EXO has no such record
+    async getOne(path, opts) {
+      try {
+        return (await request('get', path, opts)).data;
+      } catch (err) {
+        if (err?.response?.status === 404) return null;
+        throw err;
+      }
+    },
+
+    // One page of a list endpoint → its items ([] past the end). opts as for get, e.g.
+    // { giveUpOn: [504] } to let the caller retry with a smaller page instead.
+    async getPage(resource, page, pageSize, opts) {
+      const url = `/${resource}?page=${page}&pagesize=${pageSize}`;
+      let data;
+      try {
+        data = (await request('get', url, opts)).data;
+      } catch (err) {
+        if (err?.response?.status === 404) return [];
+        throw err;
+      }
+      const items = Array.isArray(data) ? data : Array.isArray(data?.items) ? data.items : null;
+      if (!items) {
+        throw new Error(`Unexpected list shape for ${url}: ${(typeof data === 'string' ? data : JSON.stringify(data)).slice(0, 400)}`);
+      }
+      return items;
+    },
+
+    // Binary download (images) → Buffer; path or absolute URL on the EXO host
+    async getBuffer(pathOrUrl, opts = {}) {
+      const res = await request('get', pathOrUrl, { ...opts, responseType: 'arraybuffer' });
+      return Buffer.from(res.data);
+    },
+
+    isExoUrl(url) {
+      return new URL(urlOf(url)).host === new URL(baseUrl).host;
+    },
+
+    // For /exo-health
+    stats() {
+      return {
+        breaker: breaker.state,
+        consecutiveFailures: breaker.failures,
+        openedAt: breaker.openedAt,
+        inFlight: slots.active,
+        queued: slots.waiting,
+        concurrency,
+        ratePerSecond,
+        ...counters,
+      };
+    },
+  };
+}
+
+// Runs fn(item) over items with at most `limit` at once; resolves when all have finished.
+// fn handles its own errors: the first one thrown stops new items starting and is rethrown.
+async function forEachConcurrent(items, limit, fn) {
+  let next = 0;
+  let failed = null;
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const item = items[next++];
+      try {
+        await fn(item);
+      } catch (err) {
+        failed = failed || err;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  if (failed) throw failed;
+}
+
+module.exports = {
+  exoClientOptions,
+  retryAfterMs,
+  backoffMs,
+  makeRateLimiter,
+  makeCircuitBreaker,
+  makeExoClient,
+  forEachConcurrent,
+  isUnavailable,
+};
@@ -0,0 +1,157 @@
+// lib/exoSalesOrders.js
+// Accepted quote → EXO sales order. The EXO calls come in as `exo.post(path, body)` /
+// `exo.get(path)` (the lib/exoClient.js client index.js builds) so this can be pointed at a
+// local stub.
+//
+// Idempotency: the quote is claimed (exoOrderStatus PENDING) before anything is sent, and
+// every order carries our reference (QUOTE-<id>). If an earlier attempt ended without a clear
+// answer from EXO (timeout, 5xx, crash while PENDING) the next attempt searches EXO for that
+// reference first and adopts the order it finds instead of creating another.
+
+const SEARCH_PATH = process.env.EXO_SALES_ORDER_SEARCH_PATH || '/salesorder/search?q={ref}';
+const PENDING_STALE_MS = 10 * 60 * 1000;
+// Non-stock item in EXO that custom lines (freight, installation…) are booked against
+const CUSTOM_LINE_STOCKCODE = process.env.EXO_CUSTOM_LINE_STOCKCODE || '';
+
+function salesOrderReference(quote) {
+  return `QUOTE-${quote.id}`;
+}
+
+// Line discount and this line's share of the whole-quote discount as one percentage,
+// since EXO has no order-level discount
+function lineDiscountPct(quote, it) {
+  const quoteShare = Number(quote.subtotal) ? Number(quote.discount || 0) / Number(quote.subtotal) : 0;
+  const pct = 100 - (100 - Number(it.discountPct || 0)) * (1 - quoteShare);
+  return Math.round(pct * 10000) / 10000;
+}
+
+// EXO takes ex-tax unit prices; tax-inclusive quotes are converted back at each line's rate
+function exTaxUnitPrice(quote, it) {
+  const price = Number(it.price);
+  if (!quote.pricesIncludeTax || quote.taxExempt || !Number(it.taxRate)) return price;
+  return Math.round((price * 100 / (100 + Number(it.taxRate))) * 10000) / 10000;
+}
+
+// loadQuote() result → EXO sales order body
+function buildSalesOrder(quote, { debtorId, poNumber } = {}) {
+  return {
+    debtorid: debtorId,
+    reference: salesOrderReference(quote),
+    customerordernumber: poNumber || undefined,
+    narrative: [quote.customerName, quote.notes].filter(Boolean).join(' — ') || undefined,
+    // Foreign-currency quotes: prices are in quote.currency, at the rate the quote was priced at
+    exchangerate: Number(quote.exchangeRate ?? 1) !== 1 ? Number(quote.exchangeRate) : undefined,
+    lines: quote.items.map(it => ({
+      stockcode: it.stockCode || CUSTOM_LINE_STOCKCODE || undefined,
+      description: it.name,
+      orderquantity: it.qty,
+      unitprice: exTaxUnitPrice(quote, it),
+      discount: lineDiscountPct(quote, it) || undefined,
+    })),
+  };
+}
+
+function orderIdOf(order) {
+  const id = order?.id ?? order?.salesorderid ?? order?.orderid;
+  return id == null ? null : String(id);
+}
+
+// Best message EXO gave us for a failed call
+function exoErrorMessage(err) {
+  const data = err?.response?.data;
+  if (typeof data === 'string' && data.trim()) return data.trim().slice(0, 1000);
+  const msg = data?.message ?? data?.Message ?? data?.error ?? data?.errors;
+  if (msg) return (typeof msg === 'string' ? msg : JSON.stringify(msg)).slice(0, 1000);
+  return err?.message || String(err);
+}
+
+// 4xx means EXO looked at the order and said no, so nothing was created
+function isRejection(err) {
+  const code = err?.response?.status;
+  return code >= 400 && code < 500;
+}
+
+async function findOrderByReference(exo, ref) {
+  let found;
+  try {
+    found = await exo.get(SEARCH_PATH.replace('{ref}', encodeURIComponent(ref)));
+  } catch (err) {
+    if (err?.response?.status === 404) return null; // search answers 404 for "no matches"
+    err.duringLookup = true; // a failed lookup says nothing about the order itself
+    throw err;
+  }
+  const list = Array.isArray(found) ? found : Array.isArray(found?.items) ? found.items : [];
+  const match = list.find(o => String(o?.reference ?? o?.ourref ?? '') === ref);
+  return match ? orderIdOf(match) : null;
+}
+
+// Pushes a quote (as returned by loadQuote) and records the outcome on the Quote.
+// → { status, body } for the route to send.
+async function pushQuoteToExo(prisma, exo, quote, { debtorId, poNumber } = {}) {
+  if (quote.exoOrderId) {
+    return { status: 200, body: { ok: true, alreadyPushed: true, exoOrderId: quote.exoOrderId } };
+  }
+  if (quote.status !== 'ACCEPTED') {
+    return { status: 409, body: { error: 'Only accepted quotes can be sent to EXO' } };
+  }
+  if (!debtorId) {
+    return { status: 400, body: { error: 'debtorId required (set it on the quote or EXO_DEFAULT_DEBTOR_ID)' } };
+  }
+  if (!CUSTOM_LINE_STOCKCODE && quote.items.some(it => !it.stockCode)) {
+    return { status: 400, body: { error: 'Quote has custom lines; set EXO_CUSTOM_LINE_STOCKCODE to send them to EXO' } };
+  }
+
+  // Claim. A PENDING claim only goes stale if the process died mid-push.
+  const staleBefore = new Date(Date.now() - PENDING_STALE_MS);
+  const { count } = await prisma.quote.updateMany({
+    where: {
+      id: quote.id,
+      exoOrderId: null,
+      OR: [
+        { exoOrderStatus: null },
+        { exoOrderStatus: { in: ['FAILED', 'UNKNOWN'] } },
+        { exoOrderStatus: 'PENDING', exoOrderAttemptAt: { lt: staleBefore } },
+      ],
+    },
+    data: { exoOrderStatus: 'PENDING', exoOrderAttemptAt: new Date(), exoOrderError: null },
+  });
+  if (!count) return { status: 409, body: { error: 'A push to EXO is already in progress for this quote' } };
+
+  const ref = salesOrderReference(quote);
+  const record = (data) => prisma.quote.update({ where: { id: quote.id }, data });
+
+  try {
+    let exoOrderId = null;
+    if (quote.exoOrderStatus === 'UNKNOWN' || quote.exoOrderStatus === 'PENDING') {
+      exoOrderId = await findOrderByReference(exo, ref);
+    }
+    const created = !exoOrderId;
+    if (created) {
+      const order = await exo.post('/salesorder', buildSalesOrder(quote, { debtorId, poNumber }));
+      exoOrderId = orderIdOf(order);
+      if (!exoOrderId) throw new Error(`EXO accepted the order but returned no id: ${JSON.stringify(order).slice(0, 500)}`);
+    }
+
+    await record({ exoOrderId, exoOrderStatus: 'PUSHED', exoOrderPushedAt: new Date(), exoDebtorId: debtorId });
+    return { status: created ? 201 : 200, body: { ok: true, exoOrderId, adopted: !created } };
+  } catch (err) {
+    const message = exoErrorMessage(err);
+    if (isRejection(err) && !err.duringLookup) {
+      await record({ exoOrderStatus: 'FAILED', exoOrderError: message });
+      return {
+        status: 502,
+        body: { error: 'EXO rejected the sales order', exoStatus: err.response.status, exoMessage: message },
+      };
+    }
+    // No clear answer: the order may or may not exist, so the next attempt looks it up first
+    await record({ exoOrderStatus: 'UNKNOWN', exoOrderError: message });
+    return { status: 502, body: { error: 'EXO did not confirm the sales order; retry to check again', exoMessage: message } };
+  }
+}
+
+module.exports = {
+  salesOrderReference,
+  buildSalesOrder,
+  exoErrorMessage,
+  pushQuoteToExo,
+};
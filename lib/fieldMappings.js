@@ -0,0 +1,72 @@
+// lib/fieldMappings.js
+// Mapping of EXO extra fields onto Product columns (or Product.attributes.<key>).
+// Rows live in the FieldMapping table; the defaults below are what the migration seeds.
+
+// Product columns an extra field may feed, with the type we coerce to.
+// 'dimension' values stay as text here and are unit-parsed by lib/dimensions.
+const COLUMN_TYPES = {
+  origin: 'string',
+  length: 'dimension',
+  width: 'dimension',
+  size: 'string',
+  description: 'string',
+};
+const ATTRIBUTE_PREFIX = 'attributes.';
+const VALUE_TYPES = ['string', 'number'];
+
+const DEFAULT_FIELD_MAPPINGS = [
+  { target: 'origin', aliases: ['origin', 'countryoforigin', 'country', 'madein', 'made'] },
+  { target: 'length', aliases: ['length', 'lengthcm', 'length(mm)', 'length(cm)', 'length(m)', 'ruglength', 'size length'] },
+  { target: 'width', aliases: ['width', 'widthcm', 'width(mm)', 'width(cm)', 'width(m)', 'rugwidth', 'size width'] },
+  { target: 'size', aliases: ['size', 'dimensions', 'size(cm)', 'overall size', 'rug size'] },
+  { target: 'description', aliases: ['webdescription', 'web description', 'online description'] },
+];
+
+function isAttributeTarget(target) {
+  return typeof target === 'string' && target.startsWith(ATTRIBUTE_PREFIX);
+}
+
+// Type a mapped value is coerced to: fixed for columns, chosen per mapping for attributes
+function mappingType(mapping) {
+  return COLUMN_TYPES[mapping.target] || mapping.type || 'string';
+}
+
+// Validates a create/update payload. Returns { data } or { error }.
+// `partial` allows omitted fields (PATCH).
+function parseMappingInput(body, { partial = false } = {}) {
+  const data = {};
+  const { target, aliases, type, enabled } = body || {};
+
+  if (target !== undefined || !partial) {
+    const t = String(target || '').trim();
+    const validAttr = isAttributeTarget(t) && /^[A-Za-z0-9_]+$/.test(t.slice(ATTRIBUTE_PREFIX.length));
+    if (!COLUMN_TYPES[t] && !validAttr) {
+      return { error: `target must be one of ${Object.keys(COLUMN_TYPES).join(', ')} or attributes.<key>` };
+    }
+    data.target = t;
+  }
+
+  if (aliases !== undefined || !partial) {
+    const list = Array.isArray(aliases)
+      ? aliases.map(a => String(a ?? '').trim()).filter(Boolean)
+      : [];
+    if (!list.length) return { error: 'aliases must be a non-empty array of field names' };
+    data.aliases = list;
+  }
+
+  if (type !== undefined) {
+    if (!VALUE_TYPES.includes(type)) return { error: `type must be one of ${VALUE_TYPES.join(', ')}` };
+    data.type = type;
+  }
+
+  if (enabled !== undefined) data.enabled = Boolean(enabled);
+  return { data };
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  DEFAULT_FIELD_MAPPINGS,
+  isAttributeTarget,
+  mappingType,
+  parseMappingInput,
+};
@@ -0,0 +1,101 @@
+// lib/productHistory.js
+// What the sync records in ProductChange when EXO data moves under us. Values are stored as
+// text so one table covers prices, stock counts and attributes alike.
+
+// Product columns worth a history entry. Prices per level are tracked as "price.<level>".
+const TRACKED_FIELDS = ['price', 'hasSellPrice', 'stockLevel', 'status', 'name', 'origin', 'lengthCm', 'widthCm'];
+const PRICE_LEVEL_PREFIX = 'price.';
+
+// Groups the API filters on (?kind=price,stock,status,attributes)
+const CHANGE_KINDS = {
+  price: f => isPriceField(f) || f === 'hasSellPrice',
+  stock: f => f === 'stockLevel',
+  status: f => f === 'status',
+  attributes: f => ['name', 'origin', 'lengthCm', 'widthCm'].includes(f),
+};
+
+function isPriceField(field) {
+  return field === 'price' || field.startsWith(PRICE_LEVEL_PREFIX);
+}
+
+// Comparable text for a value: money to 2dp (Decimal or number alike), other numbers rounded
+// to 2dp, everything else as-is. null stays null.
+function asText(field, v) {
+  if (v == null || v === '') return null;
+  if (isPriceField(field)) return Number(v).toFixed(2);
+  if (typeof v === 'number') return String(Math.round(v * 100) / 100);
+  return String(v);
+}
+
+// before/after: product rows (before may be null for a new product), each with an optional
+// `prices: [{ level, price }]`. → [{ field, oldValue, newValue }]
+function diffProduct(before, after) {
+  const changes = [];
+  const push = (field, a, b) => {
+    const oldValue = asText(field, a);
+    const newValue = asText(field, b);
+    if (oldValue !== newValue) changes.push({ field, oldValue, newValue });
+  };
+
+  if (!before) {
+    // First sighting: record the starting point for the price and stock timelines only
+    push('price', null, after.price);
+    push('stockLevel', null, after.stockLevel);
+    return changes;
+  }
+
+  for (const f of TRACKED_FIELDS) {
+    if (f in after) push(f, before[f], after[f]);
+  }
+
+  if (before.prices && after.prices) {
+    const old = new Map(before.prices.map(p => [p.level, p.price]));
+    const now = new Map(after.prices.map(p => [p.level, p.price]));
+    const levels = [...new Set([...old.keys(), ...now.keys()])].sort((a, b) => a - b);
+    for (const level of levels) push(`${PRICE_LEVEL_PREFIX}${level}`, old.get(level), now.get(level));
+  }
+  return changes;
+}
+
+// Prisma where for a comma list of CHANGE_KINDS. Returns { where } or { error }.
+function changeKindWhere(kinds) {
+  const list = String(kinds || '').split(',').map(k => k.trim()).filter(Boolean);
+  if (!list.length) return { where: {} };
+  const bad = list.find(k => !CHANGE_KINDS[k]);
+  if (bad) return { error: `kind must be one of ${Object.keys(CHANGE_KINDS).join(', ')}` };
+
+  const or = [];
+  for (const k of list) {
+    if (k === 'price') {
+      or.push({ field: { in: ['price', 'hasSellPrice'] } }, { field: { startsWith: PRICE_LEVEL_PREFIX } });
+    } else {
+      or.push({ field: { in: TRACKED_FIELDS.filter(CHANGE_KINDS[k]) } });
+    }
+  }
+  return { where: { OR: or } };
+}
+
+function changeKind(field) {
+  return Object.keys(CHANGE_KINDS).find(k => CHANGE_KINDS[k](field)) || 'other';
+}
+
+// API shape for a ProductChange row
+function presentChange(c) {
+  return {
+    id: c.id,
+    field: c.field,
+    kind: changeKind(c.field),
+    oldValue: c.oldValue,
+    newValue: c.newValue,
+    changedAt: c.changedAt,
+    syncRunId: c.syncRunId,
+  };
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  CHANGE_KINDS,
+  diffProduct,
+  changeKindWhere,
+  presentChange,
+};
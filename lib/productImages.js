@@ -0,0 +1,84 @@
+// lib/productImages.js
+// Product image storage + resizing. Files live on the local filesystem behind a tiny store
+// interface (put/path/remove) so it can be swapped for object storage later.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Longest edge in px; both renditions are JPEG
+const IMAGE_SIZES = { thumb: 240, display: 1200 };
+const JPEG_QUALITY = 80;
+
+function createFileImageStore(rootDir) {
+  const root = path.resolve(rootDir);
+  const resolve = (key) => {
+    const full = path.resolve(root, key);
+    if (!full.startsWith(root + path.sep)) throw new Error(`Invalid image key: ${key}`);
+    return full;
+  };
+
+  return {
+    root,
+    path: resolve,
+    async put(key, buffer) {
+      const full = resolve(key);
+      await fs.mkdir(path.dirname(full), { recursive: true });
+      await fs.writeFile(full, buffer);
+    },
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+function imageKey(imageId, size) {
+  return path.posix.join(String(imageId).slice(-2).padStart(2, '0'), `${imageId}-${size}.jpg`);
+}
+
+// Public URL for a rendition; pass a base URL for absolute links (emails)
+function imageUrl(stockCode, imageId, size, baseUrl) {
+  const rel = `/products/${encodeURIComponent(stockCode)}/images/${imageId}/${size}`;
+  return baseUrl ? new URL(rel, baseUrl).toString() : rel;
+}
+
+function contentHash(buffer) {
+  return crypto.createHash('sha1').update(buffer).digest('hex');
+}
+
+// → { width, height, renditions: { thumb: Buffer, display: Buffer } }
+async function renderImageSizes(buffer) {
+  const meta = await sharp(buffer).metadata();
+  const renditions = {};
+  for (const [size, px] of Object.entries(IMAGE_SIZES)) {
+    renditions[size] = await sharp(buffer)
+      .rotate() // honour EXIF orientation
+      .resize(px, px, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: JPEG_QUALITY })
+      .toBuffer();
+  }
+  return { width: meta.width ?? null, height: meta.height ?? null, renditions };
+}
+
+// API shape for a ProductImage row
+function presentImage(stockCode, img, baseUrl) {
+  return {
+    id: img.id,
+    position: img.position,
+    width: img.width,
+    height: img.height,
+    thumbUrl: imageUrl(stockCode, img.id, 'thumb', baseUrl),
+    displayUrl: imageUrl(stockCode, img.id, 'display', baseUrl),
+  };
+}
+
+module.exports = {
+  IMAGE_SIZES,
+  createFileImageStore,
+  imageKey,
+  imageUrl,
+  contentHash,
+  renderImageSizes,
+  presentImage,
+};
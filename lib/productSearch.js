@@ -0,0 +1,127 @@
+// lib/productSearch.js
+// Turns GET /products query params into Prisma where/orderBy. Shared by anything that lists
+// products with the same filters (the list itself, facets, exports).
+
+const PRODUCT_STATUSES = ['ACTIVE', 'DISCONTINUED', 'DELETED'];
+
+// sort=<key> → orderBy; id is always the tie-breaker so pages don't shuffle
+const SORTS = {
+  newest: { createdAt: 'desc' },
+  oldest: { createdAt: 'asc' },
+  updated: { updatedAt: 'desc' },
+  name: { name: 'asc' },
+  price_asc: { price: 'asc' },
+  price_desc: { price: 'desc' },
+  size_asc: { areaM2: { sort: 'asc', nulls: 'last' } },
+  size_desc: { areaM2: { sort: 'desc', nulls: 'last' } },
+  stock_desc: { stockLevel: 'desc' },
+};
+
+const MAX_PAGE_SIZE = 200;
+
+function str(v) {
+  return (v ?? '').toString().trim();
+}
+
+// "" → undefined, junk → NaN (reported as an error)
+function num(v) {
+  const s = str(v);
+  return s === '' ? undefined : Number(s);
+}
+
+function list(v) {
+  return str(v).split(',').map(x => x.trim()).filter(Boolean);
+}
+
+function truthy(v) {
+  return ['1', 'true', 'yes'].includes(str(v).toLowerCase());
+}
+
+function range(min, max) {
+  const r = {};
+  if (min !== undefined) r.gte = min;
+  if (max !== undefined) r.lte = max;
+  return Object.keys(r).length ? r : undefined;
+}
+
+// Parses filters. Returns { filters, error }; `filters` is what buildProductWhere takes.
+//   q, status (active|discontinued|deleted|all), location, origin (comma list),
+//   minLength/maxLength/minWidth/maxWidth (cm), minPrice/maxPrice, inStock=1
+function parseProductFilters(query = {}) {
+  const status = str(query.status || 'active').toUpperCase();
+  if (status !== 'ALL' && !PRODUCT_STATUSES.includes(status)) {
+    return { error: `status must be one of ${PRODUCT_STATUSES.join(', ')} or ALL` };
+  }
+
+  const numeric = {
+    minLength: num(query.minLength), maxLength: num(query.maxLength),
+    minWidth: num(query.minWidth), maxWidth: num(query.maxWidth),
+    minPrice: num(query.minPrice), maxPrice: num(query.maxPrice),
+  };
+  const bad = Object.entries(numeric).find(([, v]) => Number.isNaN(v));
+  if (bad) return { error: `${bad[0]} must be a number` };
+
+  return {
+    filters: {
+      q: str(query.q),
+      status,
+      location: str(query.location),
+      origins: list(query.origin),
+      inStock: truthy(query.inStock),
+      ...numeric,
+    },
+  };
+}
+
+// `except` drops one filter — facets are counted without their own filter applied
+function buildProductWhere(f, { except } = {}) {
+  const and = [];
+  if (f.status !== 'ALL') and.push({ status: f.status });
+  if (f.q) {
+    and.push({
+      OR: [
+        { stockCode:  { contains: f.q, mode: 'insensitive' } },
+        { sku:        { contains: f.q, mode: 'insensitive' } },
+        { name:       { contains: f.q, mode: 'insensitive' } },
+        { description:{ contains: f.q, mode: 'insensitive' } },
+      ],
+    });
+  }
+  if (f.location && except !== 'location') {
+    and.push({ stock: { some: { locationId: f.location, inStock: { gt: 0 } } } });
+  }
+  if (f.origins.length && except !== 'origin') {
+    and.push({ OR: f.origins.map(o => ({ origin: { equals: o, mode: 'insensitive' } })) });
+  }
+  if (f.inStock && except !== 'inStock') and.push({ stockLevel: { gt: 0 } });
+
+  const lengthCm = range(f.minLength, f.maxLength);
+  const widthCm = range(f.minWidth, f.maxWidth);
+  const price = range(f.minPrice, f.maxPrice);
+  if (lengthCm) and.push({ lengthCm });
+  if (widthCm) and.push({ widthCm });
+  if (price) and.push({ price });
+
+  return and.length ? { AND: and } : {};
+}
+
+function parseSort(v) {
+  const key = str(v) || 'newest';
+  if (!SORTS[key]) return { error: `sort must be one of ${Object.keys(SORTS).join(', ')}` };
+  return { sort: key, orderBy: [SORTS[key], { id: 'asc' }] };
+}
+
+function parsePaging(query = {}) {
+  const page = Math.max(1, parseInt(query.page || '1', 10) || 1);
+  const pageSize = Math.min(Math.max(1, parseInt(query.pageSize || '50', 10) || 50), MAX_PAGE_SIZE);
+  return { page, pageSize, skip: (page - 1) * pageSize, take: pageSize };
+}
+
+module.exports = {
+  PRODUCT_STATUSES,
+  SORTS,
+  parseProductFilters,
+  buildProductWhere,
+  parseSort,
+  parsePaging,
+};
@@ -0,0 +1,291 @@
+// lib/quoteEmails.js
+// What our emails say. Each kind has a built-in template that admins can override per key
+// (EmailTemplate rows, via /email-templates). Templates use a small mustache subset:
+//   {{name}}             value, HTML-escaped (in subjects: as plain text)
+//   {{{name}}}           pre-built HTML (only the variables marked html below; others are escaped anyway)
+//   {{#name}}…{{/name}}  only when name has a value
+// Anything a customer or staff member typed reaches the HTML escaped.
+const { taxLabel, formatMoney } = require('./quoteTotals');
+const { queueEmail } = require('./emailOutbox');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FONT = 'font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif';
+
+// key → { description, vars: { name: help }, html: [names given as HTML], subject, body }
+const TEMPLATES = {
+  quote_sent: {
+    description: 'The quote, sent from POST /quotes/:id/send',
+    vars: {
+      quoteId: 'Quote number',
+      customerName: 'Who the quote is addressed to',
+      message: 'Covering note typed when sending (line breaks kept)',
+      link: "Customer's link to the quote",
+      validUntil: 'Expiry date',
+      total: 'Total with currency',
+      summary: 'Table of lines and totals',
+      brandName: 'QUOTE_BRAND_NAME',
+    },
+    html: ['message', 'summary'],
+    subject: 'Your Quote #{{quoteId}}',
+    body: `<div style="${FONT}">
+  <h2>Quote #{{quoteId}}</h2>
+  {{#customerName}}<p>Hi {{customerName}},</p>{{/customerName}}
+  {{#message}}<p>{{{message}}}</p>{{/message}}
+  <p>Please view your quote here (valid until {{validUntil}}):</p>
+  <p><a href="{{link}}">{{link}}</a></p>
+  <hr/>
+  {{{summary}}}
+</div>`,
+  },
+  quote_reminder: {
+    description: 'Follow-up for a sent quote with no answer yet (QUOTE_REMINDER_DAYS)',
+    vars: {
+      quoteId: 'Quote number',
+      customerName: 'Who the quote is addressed to',
+      link: "Customer's link to the quote",
+      validUntil: 'Expiry date',
+      daysLeft: 'Whole days until it expires',
+      total: 'Total with currency',
+      brandName: 'QUOTE_BRAND_NAME',
+    },
+    html: [],
+    subject: 'Reminder: Quote #{{quoteId}} expires {{validUntil}}',
+    body: `<div style="${FONT}">
+  <h2>Quote #{{quoteId}}</h2>
+  {{#customerName}}<p>Hi {{customerName}},</p>{{/customerName}}
+  <p>Just a reminder that your quote for {{total}} is valid until {{validUntil}} ({{daysLeft}} days from now).</p>
+  <p>You can review, accept or decline it here:</p>
+  <p><a href="{{link}}">{{link}}</a></p>
+</div>`,
+  },
+  quote_response: {
+    description: 'Tells staff (QUOTE_NOTIFY_EMAIL) a customer accepted or declined',
+    vars: {
+      quoteId: 'Quote number',
+      decision: 'accepted or declined',
+      customer: 'Customer name or email',
+      revision: 'Revision answered',
+      total: 'Total with currency',
+      signerName: 'Name given when accepting',
+      poNumber: 'PO number given when accepting',
+      reason: 'Reason given when declining',
+      respondedAt: 'When (ISO time)',
+      ip: 'IP address it came from',
+      staffLink: 'Staff link to the quote',
+    },
+    html: [],
+    subject: 'Quote #{{quoteId}} {{decision}}{{#signerName}} by {{signerName}}{{/signerName}}',
+    body: `<div style="${FONT}">
+  <h2>Quote #{{quoteId}} {{decision}}</h2>
+  <p>Customer: {{customer}}</p>
+  <p>Revision: {{revision}} · Total: {{total}}</p>
+  {{#signerName}}<p>Signed by: {{signerName}}</p>{{/signerName}}
+  {{#poNumber}}<p>PO number: {{poNumber}}</p>{{/poNumber}}
+  {{#reason}}<p>Reason: {{reason}}</p>{{/reason}}
+  <p>{{respondedAt}} from {{ip}}</p>
+  <p><a href="{{staffLink}}">{{staffLink}}</a></p>
+</div>`,
+  },
+};
+
+const escapeHtml = (v) => String(v ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const TAG = /\{\{(\{)?\s*([#/])?\s*([\w]+)\s*\}?\}\}/g;
+
+// Checks a template against its key's variables → error message or null
+function templateError(key, text) {
+  const vars = TEMPLATES[key].vars;
+  const open = [];
+  for (const [, , section, name] of String(text).matchAll(TAG)) {
+    if (!(name in vars)) return `Unknown variable {{${name}}}; available: ${Object.keys(vars).join(', ')}`;
+    if (section === '#') open.push(name);
+    if (section === '/' && open.pop() !== name) return `{{/${name}}} does not close the last {{#…}} section`;
+  }
+  return open.length ? `{{#${open[open.length - 1]}}} is never closed` : null;
+}
+
+// asText: subjects, where nothing is escaped but line breaks are dropped
+function render(key, text, vars, { asText = false } = {}) {
+  const allowHtml = new Set(TEMPLATES[key].html);
+  const value = (name, raw) => {
+    const v = vars[name];
+    if (asText) return String(v ?? '');
+    return raw && allowHtml.has(name) ? String(v ?? '') : escapeHtml(v);
+  };
+  let out = String(text);
+  // Innermost sections first, so nesting works. Spliced rather than replace()d so a "$&" in
+  // the template isn't read as a replacement pattern.
+  const section = /\{\{#\s*(\w+)\s*\}\}((?:(?!\{\{#)[\s\S])*?)\{\{\/\s*\1\s*\}\}/;
+  for (let m = out.match(section); m; m = out.match(section)) {
+    const v = vars[m[1]];
+    const kept = v != null && v !== '' && v !== false ? m[2] : '';
+    out = out.slice(0, m.index) + kept + out.slice(m.index + m[0].length);
+  }
+  // One pass over {{{raw}}} and {{escaped}} tags, so tags inside inserted values stay as typed
+  out = out.replace(/\{\{(\{)?\s*(\w+)\s*\}?\}\}/g, (_, raw, name) => value(name, Boolean(raw)));
+  return asText ? out.replace(/[\r\n]+/g, ' ').trim() : out;
+}
+
+// The template in use for a key: the saved override, else the built-in one
+async function loadTemplate(prisma, key) {
+  const saved = await prisma.emailTemplate.findUnique({ where: { key } });
+  return saved
+    ? { key, subject: saved.subject, html: saved.html, custom: true, updatedAt: saved.updatedAt, updatedBy: saved.updatedBy }
+    : { key, subject: TEMPLATES[key].subject, html: TEMPLATES[key].body, custom: false };
+}
+
+// → { subject, html }
+async function renderEmail(prisma, key, vars) {
+  const t = await loadTemplate(prisma, key);
+  return { subject: render(key, t.subject, vars, { asText: true }), html: render(key, t.html, vars) };
+}
+
+// ---- Variables
+
+const date = (d) => new Date(d).toLocaleDateString('en-AU');
+
+// Lines and totals for the quote email; q as returned by loadQuote() (with taxBreakdown)
+function quoteSummaryHtml(q, { appBaseUrl }) {
+  const money = (v) => escapeHtml(formatMoney(v, q.currency));
+  const rows = q.items.map(it => `
+    <tr>
+      <td>${it.imageUrl ? `<img src="${escapeHtml(new URL(it.imageUrl, appBaseUrl))}" width="60" alt=""/>` : ''}</td>
+      <td>${it.qty} × ${escapeHtml(it.name)} — ${money(it.price)} each${Number(it.discountPct) ? `, less ${+it.discountPct}%` : ''}</td>
+      <td align="right">${money(it.subtotal)}</td>
+    </tr>`).join('');
+  // Exclusive quotes add tax above the total; inclusive ones note what the total includes
+  const taxLines = q.taxExempt ? '' : (q.taxBreakdown || []).filter(b => Number(b.tax)).map(b => (q.pricesIncludeTax
+    ? `<p>Includes ${escapeHtml(taxLabel(b))}: ${money(b.tax)}</p>`
+    : `<p>${escapeHtml(taxLabel(b))}: ${money(b.tax)}</p>`)).join('');
+  return `<p><strong>Summary</strong></p>
+  <table cellpadding="4" style="border-collapse:collapse">${rows}
+  </table>
+  <p>Subtotal: ${money(q.subtotal)}</p>
+  ${Number(q.discount) ? `<p>Discount${Number(q.discountPct) ? ` (${+q.discountPct}%)` : ''}: −${money(q.discount)}</p>` : ''}
+  ${q.pricesIncludeTax ? '' : taxLines}
+  <p><strong>Total: ${money(q.total)}</strong></p>
+  ${q.pricesIncludeTax ? taxLines : ''}
+  ${q.taxExempt ? `<p>Tax exempt${q.taxExemptReason ? ` (${escapeHtml(q.taxExemptReason)})` : ''}</p>` : ''}`;
+}
+
+function quoteSentVars(q, { link, message, appBaseUrl, brandName }) {
+  return {
+    quoteId: q.id,
+    customerName: q.customerName,
+    message: message ? escapeHtml(message).replace(/\r?\n/g, '<br/>') : '',
+    link,
+    validUntil: date(q.validUntil),
+    total: formatMoney(q.total, q.currency),
+    summary: quoteSummaryHtml(q, { appBaseUrl }),
+    brandName,
+  };
+}
+
+function reminderVars(q, { link, brandName, now = new Date() }) {
+  return {
+    quoteId: q.id,
+    customerName: q.customerName,
+    link,
+    validUntil: date(q.validUntil),
+    daysLeft: Math.max(0, Math.ceil((new Date(q.validUntil) - now) / DAY_MS)),
+    total: formatMoney(q.total, q.currency),
+    brandName,
+  };
+}
+
+function responseVars(q, response, { staffLink }) {
+  return {
+    quoteId: q.id,
+    decision: response.decision === 'ACCEPTED' ? 'accepted' : 'declined',
+    customer: q.customerName || q.customerEmail || '—',
+    revision: response.revision ?? '—',
+    total: formatMoney(q.total, q.currency),
+    signerName: response.signerName,
+    poNumber: response.poNumber,
+    reason: response.reason,
+    respondedAt: response.createdAt.toISOString(),
+    ip: response.ip || 'unknown IP',
+    staffLink,
+  };
+}
+
+// ---- Reminders
+
+// QUOTE_REMINDER_DAYS: days before validUntil to remind, e.g. "7,2". Unset/empty = no reminders.
+function reminderDays(env = {}) {
+  return String(env.QUOTE_REMINDER_DAYS ?? process.env.QUOTE_REMINDER_DAYS ?? '')
+    .split(',')
+    .map(s => Number(s.trim()))
+    .filter(n => Number.isFinite(n) && n > 0)
+    .sort((a, b) => b - a);
+}
+
+// How many of the reminder points have been reached by `now`
+function remindersPassed(validUntil, days, now = new Date()) {
+  return days.filter(d => new Date(validUntil).getTime() - d * DAY_MS <= now.getTime()).length;
+}
+
+// The customer's link to one revision of a quote
+function publicQuoteLink(appBaseUrl, quote, revision = quote.revision) {
+  const u = new URL('/quote.html', appBaseUrl);
+  u.searchParams.set('id', quote.id);
+  u.searchParams.set('token', quote.shareToken);
+  if (revision) u.searchParams.set('rev', revision);
+  return u.toString();
+}
+
+// Scheduled job: queues a reminder for each unanswered sent quote that has reached its next
+// reminder point, addressed to whoever the sent revision went to. Quotes that pass several
+// points between runs get one reminder, not a burst. → the queued EmailMessages
+async function queueQuoteReminders(prisma, { days, appBaseUrl, brandName, now = new Date() }) {
+  if (!days.length) return [];
+  const due = await prisma.quote.findMany({
+    where: {
+      status: 'SENT',
+      remindersEnabled: true,
+      remindersSent: { lt: days.length },
+      sentRevision: { not: null },
+      validUntil: { gt: now, lte: new Date(now.getTime() + days[0] * DAY_MS) },
+    },
+  });
+  const queued = [];
+  for (const q of due) {
+    const passed = remindersPassed(q.validUntil, days, now);
+    if (passed <= q.remindersSent) continue;
+    const sent = await prisma.quoteRevision.findUnique({
+      where: { quoteId_number: { quoteId: q.id, number: q.sentRevision } },
+      select: { sentTo: true },
+    });
+    if (!sent?.sentTo) continue;
+
+    const { subject, html } = await renderEmail(prisma, 'quote_reminder', reminderVars(q, {
+      link: publicQuoteLink(appBaseUrl, q, q.sentRevision), brandName, now,
+    }));
+    // The count guard stops a second run (or a re-send meanwhile) queuing the same reminder
+    const message = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.quote.updateMany({
+        where: { id: q.id, status: 'SENT', remindersSent: q.remindersSent, sentRevision: q.sentRevision },
+        data: { remindersSent: passed },
+      });
+      if (!count) return null;
+      return queueEmail(tx, { quoteId: q.id, kind: 'REMINDER', revision: q.sentRevision, to: sent.sentTo, subject, html });
+    });
+    if (message) queued.push(message);
+  }
+  return queued;
+}
+
+module.exports = {
+  TEMPLATES,
+  templateError,
+  render,
+  loadTemplate,
+  renderEmail,
+  quoteSentVars,
+  reminderVars,
+  responseVars,
+  reminderDays,
+  remindersPassed,
+  publicQuoteLink,
+  queueQuoteReminders,
+};
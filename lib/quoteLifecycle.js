@@ -0,0 +1,82 @@
+// lib/quoteLifecycle.js
+// Quote status rules. DRAFT → SENT happens only through POST /quotes/:id/send; editing a sent
+// (or rejected) quote opens a new draft revision; ACCEPTED is final; EXPIRED can be reopened.
+const { recordEvent, quoteEventData } = require('./webhooks');
+
+const QUOTE_TRANSITIONS = {
+  DRAFT: ['SENT'],
+  SENT: ['ACCEPTED', 'REJECTED', 'EXPIRED', 'DRAFT'],
+  ACCEPTED: [],
+  REJECTED: ['DRAFT'],
+  EXPIRED: ['DRAFT'],
+};
+
+// Lines, header and prices are frozen in these
+const LOCKED_STATUSES = ['ACCEPTED', 'EXPIRED'];
+
+const DEFAULT_VALID_DAYS = 30;
+
+function canTransition(from, to) {
+  return from === to || (QUOTE_TRANSITIONS[from] || []).includes(to);
+}
+
+// Sent quotes past their validity date that the job hasn't expired yet
+function isOverdue(quote, now = new Date()) {
+  return quote.status === 'SENT' && !!quote.validUntil && quote.validUntil < now;
+}
+
+// Status as the customer sees it: overdue SENT quotes count as EXPIRED before the job runs
+function effectiveStatus(quote, now = new Date()) {
+  return isOverdue(quote, now) ? 'EXPIRED' : quote.status;
+}
+
+// Why a quote can't be edited, or null if it can
+function editBlockedReason(quote, now = new Date()) {
+  const status = effectiveStatus(quote, now);
+  if (!LOCKED_STATUSES.includes(status)) return null;
+  return status === 'EXPIRED'
+    ? 'Quote has expired; reopen it (status DRAFT with a new validUntil) to edit'
+    : 'Quote has been accepted and can no longer be edited';
+}
+
+function validDays(env = {}) {
+  const n = Number(env.QUOTE_VALID_DAYS ?? process.env.QUOTE_VALID_DAYS ?? DEFAULT_VALID_DAYS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_VALID_DAYS;
+}
+
+function defaultValidUntil(days, from = new Date()) {
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// Scheduled job: SENT quotes past validUntil become EXPIRED, each with its quote.expired event
+// in the same transaction. Drafts are left alone (they get a fresh validity when sent).
+// Returns the quotes it expired.
+async function expireOverdueQuotes(prisma, now = new Date()) {
+  const where = { status: 'SENT', validUntil: { lt: now } };
+  const ids = (await prisma.quote.findMany({ where, select: { id: true } })).map(q => q.id);
+  const expired = [];
+  for (const id of ids) {
+    const quote = await prisma.$transaction(async (tx) => {
+      // Still overdue: it may have been answered or reopened since the list was read
+      const { count } = await tx.quote.updateMany({ where: { ...where, id }, data: { status: 'EXPIRED' } });
+      if (!count) return null;
+      const q = await tx.quote.findUnique({ where: { id } });
+      await recordEvent(tx, 'quote.expired', quoteEventData(q));
+      return q;
+    });
+    if (quote) expired.push(quote);
+  }
+  return expired;
+}
+
+module.exports = {
+  QUOTE_TRANSITIONS,
+  LOCKED_STATUSES,
+  canTransition,
+  editBlockedReason,
+  validDays,
+  defaultValidUntil,
+  isOverdue,
+  effectiveStatus,
+  expireOverdueQuotes,
+};
@@ -0,0 +1,179 @@
+// lib/quotePdf.js
+// Quote → PDF, rendered in-process with pdfkit. Takes the shape loadQuote() returns
+// (items already carry formatted `dimensions`; `taxBreakdown` has the tax per code).
+const PDFDocument = require('pdfkit');
+const { taxLabel, formatMoney: money } = require('./quoteTotals');
+
+const MARGIN = 50;
+const ACCENT = '#4f46e5';
+const MUTED = '#6b7280';
+
+// Branding comes from env so each deployment can set its own letterhead
+function brandFromEnv(env = {}) {
+  const get = (k) => env[k] ?? process.env[k];
+  return {
+    name: get('QUOTE_BRAND_NAME') || 'Quote',
+    details: (get('QUOTE_BRAND_DETAILS') || '').split('|').map(s => s.trim()).filter(Boolean),
+    logoPath: get('QUOTE_LOGO_PATH') || null,
+  };
+}
+
+// Column x-positions/widths for the line table
+function columns(doc) {
+  const right = doc.page.width - MARGIN;
+  return {
+    item: { x: MARGIN, w: right - MARGIN - 240 },
+    qty: { x: right - 230, w: 40 },
+    unit: { x: right - 180, w: 80 },
+    total: { x: right - 90, w: 90 },
+  };
+}
+
+function tableHeader(doc, cols) {
+  const y = doc.y;
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED);
+  doc.text('ITEM', cols.item.x, y, { width: cols.item.w });
+  doc.text('QTY', cols.qty.x, y, { width: cols.qty.w, align: 'right' });
+  doc.text('UNIT PRICE', cols.unit.x, y, { width: cols.unit.w, align: 'right' });
+  doc.text('AMOUNT', cols.total.x, y, { width: cols.total.w, align: 'right' });
+  doc.moveTo(MARGIN, doc.y + 4).lineTo(doc.page.width - MARGIN, doc.y + 4).strokeColor('#e5e7eb').stroke();
+  doc.y += 10;
+}
+
+function itemDetails(it, currency) {
+  const lines = [];
+  if (it.stockCode) {
+    lines.push(`Stock code ${it.stockCode}${it.sku ? ` · SKU ${it.sku}` : ''}`);
+    if (it.origin) lines.push(`Origin: ${it.origin}`);
+    const size = it.dimensions?.size || it.size;
+    if (size) lines.push(`Size: ${size}${it.dimensions?.area ? ` (${it.dimensions.area})` : ''}`);
+  } else if (it.description) {
+    lines.push(it.description); // custom line
+  }
+  if (Number(it.discountPct)) {
+    lines.push(`Less ${+Number(it.discountPct).toFixed(2)}% (${money(Number(it.price) * it.qty, currency)} before discount)`);
+  }
+  return lines.join('\n');
+}
+
+// → Promise<Buffer>
+function renderQuotePdf(quote, { brand = brandFromEnv(), link } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `Quote #${quote.id}` } });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const right = doc.page.width - MARGIN;
+    const cur = quote.currency;
+
+    // ---- Letterhead
+    let headerBottom = MARGIN;
+    if (brand.logoPath) {
+      try {
+        doc.image(brand.logoPath, MARGIN, MARGIN, { fit: [140, 60] });
+        headerBottom = MARGIN + 64;
+      } catch (e) {
+        console.warn('Quote PDF: logo not usable:', e?.message || e);
+      }
+    }
+    if (headerBottom === MARGIN) {
+      doc.font('Helvetica-Bold').fontSize(18).fillColor(ACCENT).text(brand.name, MARGIN, MARGIN);
+      headerBottom = doc.y;
+    }
+    doc.y = headerBottom;
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED);
+    brand.details.forEach(line => doc.text(line, MARGIN));
+    const letterheadBottom = doc.y;
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#111827')
+      .text(`Quote #${quote.id}`, MARGIN, MARGIN, { width: right - MARGIN, align: 'right' });
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+      .text(`Date: ${new Date(quote.createdAt).toLocaleDateString('en-AU')}`, { width: right - MARGIN, align: 'right' })
+      .text(`Status: ${quote.expired ? 'EXPIRED' : quote.status}`, { width: right - MARGIN, align: 'right' });
+    if (quote.validUntil) {
+      doc.text(`Valid until: ${new Date(quote.validUntil).toLocaleDateString('en-AU')}`, { width: right - MARGIN, align: 'right' });
+    }
+
+    doc.y = Math.max(doc.y, letterheadBottom) + 20;
+
+    // ---- Customer
+    if (quote.customerName || quote.customerEmail) {
+      doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED).text('PREPARED FOR', MARGIN);
+      doc.font('Helvetica').fontSize(11).fillColor('#111827');
+      if (quote.customerName) doc.text(quote.customerName);
+      if (quote.customerEmail) doc.fontSize(9).fillColor(MUTED).text(quote.customerEmail);
+      doc.moveDown();
+    }
+
+    // ---- Lines
+    const cols = columns(doc);
+    tableHeader(doc, cols);
+    for (const it of quote.items) {
+      const details = itemDetails(it, cur);
+      doc.font('Helvetica-Bold').fontSize(10);
+      const nameH = doc.heightOfString(it.name, { width: cols.item.w });
+      doc.font('Helvetica').fontSize(8);
+      const rowH = nameH + doc.heightOfString(details, { width: cols.item.w }) + 10;
+      if (doc.y + rowH > doc.page.height - MARGIN - 20) {
+        doc.addPage();
+        tableHeader(doc, cols);
+      }
+
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827').text(it.name, cols.item.x, y, { width: cols.item.w });
+      doc.font('Helvetica').fontSize(8).fillColor(MUTED).text(details, { width: cols.item.w });
+      doc.font('Helvetica').fontSize(10).fillColor('#111827');
+      doc.text(String(it.qty), cols.qty.x, y, { width: cols.qty.w, align: 'right' });
+      doc.text(money(it.price, cur), cols.unit.x, y, { width: cols.unit.w, align: 'right' });
+      doc.text(money(it.subtotal, cur), cols.total.x, y, { width: cols.total.w, align: 'right' });
+      doc.y = y + rowH;
+      doc.moveTo(MARGIN, doc.y - 5).lineTo(right, doc.y - 5).strokeColor('#f3f4f6').stroke();
+    }
+    if (!quote.items.length) doc.font('Helvetica').fontSize(10).fillColor(MUTED).text('No items.', MARGIN);
+
+    // ---- Totals
+    if (doc.y + 80 > doc.page.height - MARGIN) doc.addPage();
+    doc.moveDown();
+    const totalRow = (label, value, bold) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 12 : 10).fillColor('#111827');
+      doc.text(label, cols.unit.x - 80, y, { width: 160, align: 'right' });
+      doc.text(value, cols.total.x, y, { width: cols.total.w, align: 'right' });
+      doc.moveDown(0.4);
+    };
+    totalRow('Subtotal', money(quote.subtotal, cur));
+    if (Number(quote.discount)) {
+      const pct = Number(quote.discountPct) ? ` (${+Number(quote.discountPct).toFixed(2)}%)` : '';
+      totalRow(`Discount${pct}`, `-${money(quote.discount, cur)}`);
+    }
+    // Exclusive prices: tax is added per code. Inclusive: the total already has it, so just say how much.
+    const taxRows = quote.taxExempt ? [] : (quote.taxBreakdown || []).filter(b => Number(b.tax));
+    if (!quote.pricesIncludeTax) taxRows.forEach(b => totalRow(taxLabel(b), money(b.tax, cur)));
+    totalRow('Total', money(quote.total, cur), true);
+    if (quote.pricesIncludeTax) taxRows.forEach(b => totalRow(`Includes ${taxLabel(b)}`, money(b.tax, cur)));
+    if (quote.taxExempt) {
+      totalRow(`Tax exempt${quote.taxExemptReason ? ` (${quote.taxExemptReason})` : ''}`, money(0, cur));
+    }
+
+    // ---- Notes / link
+    if (quote.notes) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED).text('NOTES', MARGIN, doc.y, { width: right - MARGIN });
+      doc.font('Helvetica').fontSize(10).fillColor('#111827').text(quote.notes, { width: right - MARGIN });
+    }
+    if (link) {
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(9).fillColor(ACCENT)
+        .text('View this quote online', MARGIN, doc.y, { link, underline: true });
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  brandFromEnv,
+  renderQuotePdf,
+};
@@ -0,0 +1,84 @@
+// lib/quoteRevisions.js
+// Frozen copies of a quote as it was sent, and the diff between two of them.
+// Snapshots are plain JSON (money as strings) so they read back exactly as stored.
+
+const HEADER_FIELDS = [
+  'customerName', 'customerEmail', 'notes', 'currency', 'exchangeRate', 'priceLevel',
+  'discountPct', 'discountAmount', 'pricesIncludeTax', 'taxExempt', 'taxExemptReason',
+];
+const ITEM_FIELDS = [
+  'id', 'stockCode', 'name', 'description', 'sku', 'origin', 'size', 'lengthCm', 'widthCm', 'areaM2',
+  'price', 'listPrice', 'priceOverride', 'priceLevel', 'discountPct', 'qty', 'subtotal',
+  'taxCode', 'taxRate', 'taxAmount', 'imageUrl',
+];
+const TOTAL_FIELDS = ['subtotal', 'discount', 'tax', 'total'];
+
+// Fields that don't count as a change between revisions
+const DIFF_IGNORE = new Set(['id', 'imageUrl']);
+// Decimals kept at their column's full scale (Decimal(18, 6)) rather than as money
+const RATE_FIELDS = new Set(['exchangeRate']);
+
+function plain(v, field) {
+  if (v == null) return null;
+  if (typeof v === 'object' && typeof v.toFixed === 'function') return v.toFixed(RATE_FIELDS.has(field) ? 6 : 2); // Decimal
+  return v;
+}
+
+function pick(obj, fields) {
+  return Object.fromEntries(fields.map(f => [f, plain(obj[f], f)]));
+}
+
+// loadQuote() result → snapshot stored in QuoteRevision.snapshot
+function snapshotQuote(q) {
+  return {
+    ...pick(q, HEADER_FIELDS),
+    items: q.items.map(it => pick(it, ITEM_FIELDS)),
+    ...pick(q, TOTAL_FIELDS),
+  };
+}
+
+function fieldChanges(a, b, fields) {
+  const changes = [];
+  for (const f of fields) {
+    if (DIFF_IGNORE.has(f)) continue;
+    if (a && b && (!(f in a) || !(f in b))) continue; // snapshot predates the field
+    const from = a?.[f] === '' ? null : a?.[f] ?? null; // blank and missing are the same
+    const to = b?.[f] === '' ? null : b?.[f] ?? null;
+    if (String(from) !== String(to)) changes.push({ field: f, from, to });
+  }
+  return changes;
+}
+
+// Catalogue lines are matched on stockCode (a quote holds one line per product), custom
+// lines on their item id
+function lineKey(it) {
+  return it.stockCode ?? `custom:${it.id ?? it.name}`;
+}
+
+function diffSnapshots(from, to) {
+  const before = new Map(from.items.map(it => [lineKey(it), it]));
+  const after = new Map(to.items.map(it => [lineKey(it), it]));
+
+  const added = to.items.filter(it => !before.has(lineKey(it)));
+  const removed = from.items.filter(it => !after.has(lineKey(it)));
+  const changed = [];
+  for (const it of to.items) {
+    if (!before.has(lineKey(it))) continue;
+    const changes = fieldChanges(before.get(lineKey(it)), it, ITEM_FIELDS);
+    if (changes.length) changed.push({ stockCode: it.stockCode, name: it.name, changes });
+  }
+
+  const header = fieldChanges(from, to, HEADER_FIELDS);
+  const totals = fieldChanges(from, to, TOTAL_FIELDS);
+  return {
+    header,
+    items: { added, removed, changed },
+    totals,
+    identical: !header.length && !totals.length && !added.length && !removed.length && !changed.length,
+  };
+}
+
+module.exports = {
+  snapshotQuote,
+  diffSnapshots,
+};
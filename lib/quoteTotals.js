@@ -0,0 +1,144 @@
+// lib/quoteTotals.js
+// Money math for quotes. Line subtotal = price × qty less the line discount %; the quote
+// discount (a % or a fixed amount, capped at the subtotal) comes off before tax.
+//
+// Tax is worked out per line and rounded to cents per line; the quote's tax is the sum.
+// Line prices are in the quote's basis: tax-inclusive when quote.pricesIncludeTax, otherwise
+// exclusive. The quote discount is spread over the lines by value (the last line takes the
+// rounding remainder) so each line is taxed on what is actually charged for it.
+// Rates are percentages (15 = 15%). Everything is Prisma.Decimal.
+const { Prisma } = require('@prisma/client');
+
+const D = (v) => new Prisma.Decimal(v ?? 0);
+const cents = (d) => d.toDecimalPlaces(2);
+
+function lineSubtotal({ price, qty, discountPct }) {
+  const gross = D(price).mul(qty);
+  if (!discountPct) return cents(gross);
+  return cents(gross.mul(D(100).sub(D(discountPct))).div(100));
+}
+
+// Rate a line is taxed at: none on exempt quotes; lines from before tax codes use the default
+function lineTaxRate(quote, item, defaultTaxRate = 0) {
+  if (quote.taxExempt) return D(0);
+  return D(item.taxRate ?? defaultTaxRate);
+}
+
+// Multiplier from a tax-exclusive price to the quote's basis
+function basisFactor(quote, rate) {
+  return quote.pricesIncludeTax && !quote.taxExempt ? D(100).add(D(rate)).div(100) : D(1);
+}
+
+// A price in one basis → another. from/to: { pricesIncludeTax, taxExempt }
+function convertPrice(price, rate, from, to) {
+  const a = basisFactor(from, rate);
+  const b = basisFactor(to, rate);
+  if (a.equals(b)) return D(price);
+  return cents(D(price).div(a).mul(b));
+}
+
+// quote: { discountPct, discountAmount, pricesIncludeTax, taxExempt }
+// lines: [{ subtotal, taxRate, taxCode }] (subtotals already worked out)
+// → { subtotal, discount, tax, total, lineTax: [Decimal per line], breakdown }
+// breakdown: [{ taxCode, taxRate, net, tax }] per code/rate, net being the ex-tax amount taxed.
+function quoteTotals(quote, lines, { defaultTaxRate = 0 } = {}) {
+  const subtotal = cents(lines.reduce((sum, it) => sum.add(D(it.subtotal)), D(0)));
+  let discount = D(0);
+  if (quote.discountPct) discount = cents(subtotal.mul(D(quote.discountPct)).div(100));
+  else if (quote.discountAmount) discount = Prisma.Decimal.min(D(quote.discountAmount), subtotal);
+
+  const lineTax = [];
+  const groups = new Map();
+  let allocated = D(0);
+  lines.forEach((it, i) => {
+    const last = i === lines.length - 1;
+    const share = subtotal.isZero() ? D(0)
+      : last ? discount.sub(allocated)
+      : cents(discount.mul(D(it.subtotal)).div(subtotal));
+    allocated = allocated.add(share);
+
+    const charged = D(it.subtotal).sub(share);
+    const rate = lineTaxRate(quote, it, defaultTaxRate);
+    const tax = quote.pricesIncludeTax
+      ? cents(charged.mul(rate).div(D(100).add(rate)))
+      : cents(charged.mul(rate).div(100));
+    lineTax.push(tax);
+
+    const code = quote.taxExempt ? 'EXEMPT' : it.taxCode ?? null;
+    const key = `${code}|${rate}`;
+    const g = groups.get(key) || { taxCode: code, taxRate: rate, net: D(0), tax: D(0) };
+    g.net = g.net.add(quote.pricesIncludeTax ? charged.sub(tax) : charged);
+    g.tax = g.tax.add(tax);
+    groups.set(key, g);
+  });
+
+  const tax = lineTax.reduce((sum, t) => sum.add(t), D(0));
+  const total = quote.pricesIncludeTax ? subtotal.sub(discount) : subtotal.sub(discount).add(tax);
+  return {
+    subtotal,
+    discount,
+    tax,
+    total: cents(total),
+    lineTax,
+    breakdown: [...groups.values()].sort((a, b) => b.taxRate.cmp(a.taxRate)),
+  };
+}
+
+// 1234.5, 'USD' → "USD 1,234.50" style text for emails and PDFs (en-AU, so AUD shows as $)
+function formatMoney(v, currency = 'AUD') {
+  const n = Number(v || 0);
+  try {
+    return n.toLocaleString('en-AU', { style: 'currency', currency: currency || 'AUD' });
+  } catch {
+    return `${currency || ''} ${n.toFixed(2)}`.trim();
+  }
+}
+
+// Label for a taxBreakdown row: "GST 15%", "Tax 10%", or "Tax" when the rate isn't known
+function taxLabel({ taxCode, taxRate }) {
+  const rate = taxRate == null ? '' : ` ${+Number(taxRate).toFixed(2)}%`;
+  return `${taxCode || 'Tax'}${rate}`;
+}
+
+// Request input → { value } (a Decimal, or null to clear) or { error }
+function parseDiscountPct(v, field = 'discountPct') {
+  if (v == null || v === '' || Number(v) === 0) return { value: null };
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0 || n > 100) return { error: `${field} must be a percentage between 0 and 100` };
+  return { value: D(n).toDecimalPlaces(2) };
+}
+
+function parseMoney(v, field) {
+  if (v == null || v === '') return { value: null };
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) return { error: `${field} must be an amount of 0 or more` };
+  return { value: cents(D(n)) };
+}
+
+// Tax rate input (percent; 0 allowed for tax-free lines) → { value } or { error }
+function parseTaxRate(v, field = 'taxRate') {
+  if (v == null || v === '') return { value: null };
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0 || n > 100) return { error: `${field} must be a percentage between 0 and 100` };
+  return { value: D(n).toDecimalPlaces(2) };
+}
+
+// Quantity input (a number or numeric string) → { value } (a whole number ≥ min) or { error }
+function parseQty(v, { min = 1, field = 'qty' } = {}) {
+  const n = typeof v === 'string' && v.trim() !== '' ? Number(v) : v;
+  if (!Number.isInteger(n) || n < min) return { error: `${field} must be a whole number of ${min} or more` };
+  return { value: n };
+}
+
+module.exports = {
+  lineSubtotal,
+  lineTaxRate,
+  convertPrice,
+  quoteTotals,
+  taxLabel,
+  formatMoney,
+  parseDiscountPct,
+  parseMoney,
+  parseTaxRate,
+  parseQty,
+};
@@ -0,0 +1,85 @@
+// lib/stockReservations.js
+// "Available to quote" = EXO stock level less what live reservations hold. Reservations are
+// soft: nothing stops a line going over, it just comes back with a warning. A sent quote can
+// hold its catalogue lines for QUOTE_RESERVATION_DAYS (never past the quote's validUntil).
+
+const DEFAULT_RESERVATION_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function reservationDays(env = {}) {
+  const n = Number(env.QUOTE_RESERVATION_DAYS ?? process.env.QUOTE_RESERVATION_DAYS ?? DEFAULT_RESERVATION_DAYS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_RESERVATION_DAYS;
+}
+
+// Live reserved qty per product → Map(productId → qty). excludeQuoteId leaves out one
+// quote's own hold when checking its lines.
+async function reservedByProduct(prisma, productIds, { excludeQuoteId, now = new Date() } = {}) {
+  const ids = [...new Set(productIds.filter(id => id != null))];
+  if (!ids.length) return new Map();
+  const rows = await prisma.stockReservation.groupBy({
+    by: ['productId'],
+    where: {
+      productId: { in: ids },
+      expiresAt: { gt: now },
+      ...(excludeQuoteId ? { quoteId: { not: excludeQuoteId } } : {}),
+    },
+    _sum: { qty: true },
+  });
+  return new Map(rows.map(r => [r.productId, r._sum.qty || 0]));
+}
+
+function availableToQuote(stockLevel, reserved) {
+  return Math.max(0, (Number(stockLevel) || 0) - (reserved || 0));
+}
+
+// Holds a quote's catalogue lines, replacing any hold it had. quote: { id, validUntil, items }.
+// → { expiresAt, lines: [{ productId, stockCode, qty }] }
+async function reserveQuoteStock(prisma, quote, { days = reservationDays(), now = new Date() } = {}) {
+  let expiresAt = new Date(now.getTime() + days * DAY_MS);
+  if (quote.validUntil && quote.validUntil < expiresAt) expiresAt = new Date(quote.validUntil);
+
+  const byProduct = new Map();
+  for (const it of quote.items) {
+    if (!it.productId) continue;
+    const line = byProduct.get(it.productId) || { productId: it.productId, stockCode: it.stockCode, qty: 0 };
+    line.qty += it.qty;
+    byProduct.set(it.productId, line);
+  }
+  const lines = [...byProduct.values()];
+
+  await prisma.$transaction([
+    prisma.stockReservation.deleteMany({ where: { quoteId: quote.id } }),
+    prisma.stockReservation.createMany({
+      data: lines.map(l => ({ quoteId: quote.id, productId: l.productId, qty: l.qty, expiresAt })),
+    }),
+  ]);
+  return { expiresAt, lines };
+}
+
+// → number of reservations released
+async function releaseQuoteStock(prisma, quoteId) {
+  const { count } = await prisma.stockReservation.deleteMany({ where: { quoteId } });
+  return count;
+}
+
+// Scheduled clean-up: lapsed holds, and holds on quotes that are no longer live
+async function releaseStaleReservations(prisma, now = new Date()) {
+  const { count } = await prisma.stockReservation.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lte: now } },
+        { Quote: { status: { in: ['REJECTED', 'EXPIRED'] } } },
+      ],
+    },
+  });
+  return count;
+}
+
+module.exports = {
+  reservationDays,
+  reservedByProduct,
+  availableToQuote,
+  reserveQuoteStock,
+  releaseQuoteStock,
+  releaseStaleReservations,
+};
@@ -0,0 +1,194 @@
+// lib/webhooks.js
+// Event outbox and signed webhook deliveries.
+//
+// recordEvent() writes an OutboxEvent plus a PENDING WebhookDelivery for every active endpoint
+// subscribed to its type; deliverDue() (run on a schedule from index.js) posts them. Each POST
+// body is { id, type, createdAt, data } and carries:
+//   X-Webhook-Event       the event type
+//   X-Webhook-Delivery    delivery id (stable across retries, for de-duplication)
+//   X-Webhook-Timestamp   unix seconds when this attempt was signed
+//   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the endpoint secret>
+// Anything but a 2xx is retried with exponential backoff until MAX_ATTEMPTS, then FAILED.
+const crypto = require('crypto');
+const axios = require('axios');
+
+const EVENT_TYPES = [
+  'product.created',
+  'product.updated',
+  'product.deleted',
+  'quote.created',
+  'quote.sent',
+  'quote.accepted',
+  'quote.expired',
+];
+
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 60 * 1000;          // 1 min, doubling per attempt…
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;  // …up to 6 h
+const LEASE_MS = 2 * 60 * 1000;           // how long a claimed delivery is left alone
+const TIMEOUT_MS = 10 * 1000;
+const BATCH = 50;
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// events: exact types or "<prefix>.*"; none = everything
+function subscribes(endpoint, type) {
+  if (!endpoint.events?.length) return true;
+  return endpoint.events.some(e => e === type || (e.endsWith('.*') && type.startsWith(e.slice(0, -1))));
+}
+
+// Request input → { value: [types] } or { error }
+function parseEventList(v) {
+  if (v == null) return { value: [] };
+  if (!Array.isArray(v)) return { error: 'events must be an array of event types' };
+  const prefixes = new Set(EVENT_TYPES.map(t => `${t.split('.')[0]}.*`));
+  const bad = v.filter(e => !EVENT_TYPES.includes(e) && !prefixes.has(e));
+  if (bad.length) return { error: `Unknown event type(s): ${bad.join(', ')}. Known: ${EVENT_TYPES.join(', ')}` };
+  return { value: [...new Set(v)] };
+}
+
+function parseEndpointUrl(v) {
+  try {
+    const u = new URL(String(v ?? ''));
+    return ['http:', 'https:'].includes(u.protocol) ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+// What webhook consumers get for a quote (no share token or EXO bookkeeping)
+function quoteEventData(q) {
+  return {
+    id: q.id,
+    status: q.status,
+    revision: q.revision,
+    customerId: q.customerId ?? null,
+    customerName: q.customerName ?? null,
+    currency: q.currency,
+    total: q.total == null ? null : String(q.total),
+    validUntil: q.validUntil ?? null,
+  };
+}
+
+// → the OutboxEvent
+async function recordEvent(prisma, type, data) {
+  const endpoints = await prisma.webhookEndpoint.findMany({ where: { active: true }, select: { id: true, events: true } });
+  return prisma.outboxEvent.create({
+    data: {
+      type,
+      payload: data,
+      deliveries: { create: endpoints.filter(e => subscribes(e, type)).map(e => ({ endpointId: e.id })) },
+    },
+  });
+}
+
+function retryDelayMs(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+}
+
+// One attempt at one delivery (with Event and Endpoint included). Records the outcome and
+// returns the updated row.
+async function attemptDelivery(prisma, delivery, { now = new Date() } = {}) {
+  const { Event: event, Endpoint: endpoint } = delivery;
+  const body = JSON.stringify({ id: event.id, type: event.type, createdAt: event.createdAt, data: event.payload });
+  const timestamp = Math.floor(now.getTime() / 1000);
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const res = await axios.post(endpoint.url, body, {
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'exo-inventory-app webhooks',
+        'X-Webhook-Event': event.type,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(endpoint.secret, timestamp, body)}`,
+      },
+    });
+    responseStatus = res.status;
+    if (res.status < 200 || res.status >= 300) {
+      const text = typeof res.data === 'string' ? res.data : JSON.stringify(res.data ?? '');
+      error = `HTTP ${res.status}${text ? `: ${text.slice(0, 500)}` : ''}`;
+    }
+  } catch (err) {
+    error = String(err?.message || err).slice(0, 1000);
+  }
+
+  const attempts = delivery.attempts + 1;
+  const data = error == null
+    ? { status: 'DELIVERED', deliveredAt: new Date(), nextAttemptAt: null, lastError: null }
+    : attempts >= MAX_ATTEMPTS
+      ? { status: 'FAILED', nextAttemptAt: null, lastError: error }
+      : { status: 'PENDING', nextAttemptAt: new Date(now.getTime() + retryDelayMs(attempts)), lastError: error };
+  return prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: { ...data, attempts, responseStatus, lastAttemptAt: now },
+  });
+}
+
+// Claims a due delivery so overlapping runs don't both send it → true if we got it
+async function claim(prisma, delivery, now) {
+  const { count } = await prisma.webhookDelivery.updateMany({
+    where: { id: delivery.id, status: 'PENDING', nextAttemptAt: delivery.nextAttemptAt },
+    data: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) },
+  });
+  return count === 1;
+}
+
+// Scheduled job: posts every due delivery for active endpoints, oldest first, in batches.
+// → { delivered, retrying, failed }
+async function deliverDue(prisma, { now = new Date() } = {}) {
+  const summary = { delivered: 0, retrying: 0, failed: 0 };
+  for (;;) {
+    const due = await prisma.webhookDelivery.findMany({
+      where: { status: 'PENDING', nextAttemptAt: { lte: now }, Endpoint: { active: true } },
+      orderBy: { id: 'asc' },
+      take: BATCH,
+      include: { Event: true, Endpoint: true },
+    });
+    if (!due.length) return summary;
+    for (const d of due) {
+      if (!(await claim(prisma, d, now))) continue;
+      const done = await attemptDelivery(prisma, d, { now: new Date() });
+      if (done.status === 'DELIVERED') summary.delivered++;
+      else if (done.status === 'FAILED') summary.failed++;
+      else summary.retrying++;
+    }
+    if (due.length < BATCH) return summary;
+  }
+}
+
+// Manual redelivery: one attempt now (leased, so the scheduled job doesn't send it too), then a
+// fresh set of retries if that fails
+async function redeliver(prisma, deliveryId) {
+  const delivery = await prisma.webhookDelivery.update({
+    where: { id: deliveryId },
+    data: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date(Date.now() + LEASE_MS) },
+    include: { Event: true, Endpoint: true },
+  });
+  return attemptDelivery(prisma, delivery);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  MAX_ATTEMPTS,
+  newSecret,
+  sign,
+  subscribes,
+  parseEventList,
+  parseEndpointUrl,
+  quoteEventData,
+  recordEvent,
+  deliverDue,
+  redeliver,
+};
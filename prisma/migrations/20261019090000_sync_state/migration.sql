@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "SyncState" (
+    "key" TEXT NOT NULL,
+    "cursor" TIMESTAMP(3),
+    "lastFullSyncAt" TIMESTAMP(3),
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SyncState_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "Product_lastModified_idx" ON "Product"("lastModified");
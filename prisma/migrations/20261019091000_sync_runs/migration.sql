@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "SyncRunStatus" AS ENUM ('RUNNING', 'SUCCEEDED', 'PARTIAL', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "SyncRun" (
+    "id" SERIAL NOT NULL,
+    "kind" TEXT NOT NULL DEFAULT 'products',
+    "mode" TEXT NOT NULL DEFAULT 'auto',
+    "trigger" TEXT NOT NULL DEFAULT 'manual',
+    "status" "SyncRunStatus" NOT NULL DEFAULT 'RUNNING',
+    "total" INTEGER NOT NULL DEFAULT 0,
+    "fetched" INTEGER NOT NULL DEFAULT 0,
+    "saved" INTEGER NOT NULL DEFAULT 0,
+    "skipped" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "errors" JSONB,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "SyncRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SyncRun_startedAt_idx" ON "SyncRun"("startedAt");
@@ -0,0 +1,12 @@
+-- CreateEnum
+CREATE TYPE "ProductStatus" AS ENUM ('ACTIVE', 'DISCONTINUED', 'DELETED');
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "status" "ProductStatus" NOT NULL DEFAULT 'ACTIVE',
+ADD COLUMN     "statusChangedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "SyncRun" ADD COLUMN     "discontinued" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "Product_status_idx" ON "Product"("status");
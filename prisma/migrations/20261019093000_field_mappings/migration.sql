@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "attributes" JSONB;
+
+-- CreateTable
+CREATE TABLE "FieldMapping" (
+    "id" SERIAL NOT NULL,
+    "target" TEXT NOT NULL,
+    "aliases" TEXT[],
+    "type" TEXT NOT NULL DEFAULT 'string',
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FieldMapping_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FieldMapping_target_key" ON "FieldMapping"("target");
+
+-- Seed the aliases that used to be hard-coded in syncProducts() (see lib/fieldMappings.js)
+INSERT INTO "FieldMapping" ("target", "aliases", "updatedAt") VALUES
+  ('origin',      ARRAY['origin', 'countryoforigin', 'country', 'madein', 'made'], CURRENT_TIMESTAMP),
+  ('length',      ARRAY['length', 'lengthcm', 'length(mm)', 'length(cm)', 'length(m)', 'ruglength', 'size length'], CURRENT_TIMESTAMP),
+  ('width',       ARRAY['width', 'widthcm', 'width(mm)', 'width(cm)', 'width(m)', 'rugwidth', 'size width'], CURRENT_TIMESTAMP),
+  ('size',        ARRAY['size', 'dimensions', 'size(cm)', 'overall size', 'rug size'], CURRENT_TIMESTAMP),
+  ('description', ARRAY['webdescription', 'web description', 'online description'], CURRENT_TIMESTAMP);
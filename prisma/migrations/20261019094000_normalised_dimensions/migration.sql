@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "areaM2" DOUBLE PRECISION,
+ADD COLUMN     "dimensionUnit" TEXT,
+ADD COLUMN     "lengthCm" DOUBLE PRECISION,
+ADD COLUMN     "widthCm" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "QuoteItem" ADD COLUMN     "areaM2" DOUBLE PRECISION,
+ADD COLUMN     "lengthCm" DOUBLE PRECISION,
+ADD COLUMN     "widthCm" DOUBLE PRECISION;
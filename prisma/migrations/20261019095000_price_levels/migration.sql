@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "hasSellPrice" BOOLEAN NOT NULL DEFAULT true;
+
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "priceLevel" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "QuoteItem" ADD COLUMN     "priceLevel" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ProductPrice" (
+    "id" SERIAL NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "level" INTEGER NOT NULL,
+    "name" TEXT,
+    "price" DECIMAL(12,2) NOT NULL,
+
+    CONSTRAINT "ProductPrice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductPrice_productId_level_key" ON "ProductPrice"("productId", "level");
+
+-- AddForeignKey
+ALTER TABLE "ProductPrice" ADD CONSTRAINT "ProductPrice_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
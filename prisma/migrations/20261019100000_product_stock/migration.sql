@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "ProductStock" (
+    "id" SERIAL NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "locationName" TEXT,
+    "inStock" INTEGER NOT NULL DEFAULT 0,
+    "free" INTEGER,
+    "committed" INTEGER,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProductStock_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProductStock_locationId_idx" ON "ProductStock"("locationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductStock_productId_locationId_key" ON "ProductStock"("productId", "locationId");
+
+-- AddForeignKey
+ALTER TABLE "ProductStock" ADD CONSTRAINT "ProductStock_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
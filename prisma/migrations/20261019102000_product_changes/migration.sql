@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "ProductChange" (
+    "id" SERIAL NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "syncRunId" INTEGER,
+    "field" TEXT NOT NULL,
+    "oldValue" TEXT,
+    "newValue" TEXT,
+    "changedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProductChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProductChange_productId_changedAt_idx" ON "ProductChange"("productId", "changedAt");
+
+-- CreateIndex
+CREATE INDEX "ProductChange_changedAt_idx" ON "ProductChange"("changedAt");
+
+-- AddForeignKey
+ALTER TABLE "ProductChange" ADD CONSTRAINT "ProductChange_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "revision" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "sentRevision" INTEGER;
+
+-- CreateTable
+CREATE TABLE "QuoteRevision" (
+    "id" SERIAL NOT NULL,
+    "quoteId" INTEGER NOT NULL,
+    "number" INTEGER NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "sentTo" TEXT,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "QuoteRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "QuoteRevision_quoteId_number_key" ON "QuoteRevision"("quoteId", "number");
+
+-- AddForeignKey
+ALTER TABLE "QuoteRevision" ADD CONSTRAINT "QuoteRevision_quoteId_fkey" FOREIGN KEY ("quoteId") REFERENCES "Quote"("id") ON DELETE CASCADE ON UPDATE CASCADE;
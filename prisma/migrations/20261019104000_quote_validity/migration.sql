@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "validUntil" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Quote_status_validUntil_idx" ON "Quote"("status", "validUntil");
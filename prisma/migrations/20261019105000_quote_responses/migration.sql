@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "QuoteDecision" AS ENUM ('ACCEPTED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "QuoteResponse" (
+    "id" SERIAL NOT NULL,
+    "quoteId" INTEGER NOT NULL,
+    "revision" INTEGER,
+    "decision" "QuoteDecision" NOT NULL,
+    "signerName" TEXT,
+    "poNumber" TEXT,
+    "reason" TEXT,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "QuoteResponse_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "QuoteResponse_quoteId_idx" ON "QuoteResponse"("quoteId");
+
+-- AddForeignKey
+ALTER TABLE "QuoteResponse" ADD CONSTRAINT "QuoteResponse_quoteId_fkey" FOREIGN KEY ("quoteId") REFERENCES "Quote"("id") ON DELETE CASCADE ON UPDATE CASCADE;
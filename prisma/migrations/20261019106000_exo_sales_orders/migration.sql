@@ -0,0 +1,10 @@
+-- CreateEnum
+CREATE TYPE "ExoOrderStatus" AS ENUM ('PENDING', 'PUSHED', 'FAILED', 'UNKNOWN');
+
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "exoDebtorId" INTEGER,
+ADD COLUMN     "exoOrderAttemptAt" TIMESTAMP(3),
+ADD COLUMN     "exoOrderError" TEXT,
+ADD COLUMN     "exoOrderId" TEXT,
+ADD COLUMN     "exoOrderPushedAt" TIMESTAMP(3),
+ADD COLUMN     "exoOrderStatus" "ExoOrderStatus";
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "discount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "discountAmount" DECIMAL(12,2),
+ADD COLUMN     "discountPct" DECIMAL(5,2);
+
+-- AlterTable
+ALTER TABLE "QuoteItem" ADD COLUMN     "discountPct" DECIMAL(5,2),
+ADD COLUMN     "listPrice" DECIMAL(12,2),
+ADD COLUMN     "priceOverride" BOOLEAN NOT NULL DEFAULT false,
+ALTER COLUMN "stockCode" DROP NOT NULL;
+
+
+-- Existing lines were all charged at the catalogue price
+UPDATE "QuoteItem" SET "listPrice" = "price";
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "taxCode" TEXT,
+ADD COLUMN     "taxRate" DECIMAL(5,2);
+
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "pricesIncludeTax" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "taxExempt" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "taxExemptReason" TEXT;
+
+-- AlterTable
+ALTER TABLE "QuoteItem" ADD COLUMN     "taxAmount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "taxCode" TEXT,
+ADD COLUMN     "taxRate" DECIMAL(5,2);
+
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "exchangeRate" DECIMAL(18,6) NOT NULL DEFAULT 1,
+ADD COLUMN     "exchangeRateAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ExchangeRate" (
+    "currency" TEXT NOT NULL,
+    "rate" DECIMAL(18,6) NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "updatedBy" TEXT,
+
+    CONSTRAINT "ExchangeRate_pkey" PRIMARY KEY ("currency")
+);
+
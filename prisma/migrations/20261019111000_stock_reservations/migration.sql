@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "StockReservation" (
+    "id" SERIAL NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "quoteId" INTEGER NOT NULL,
+    "qty" INTEGER NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StockReservation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StockReservation_productId_expiresAt_idx" ON "StockReservation"("productId", "expiresAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockReservation_quoteId_productId_key" ON "StockReservation"("quoteId", "productId");
+
+-- AddForeignKey
+ALTER TABLE "StockReservation" ADD CONSTRAINT "StockReservation_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockReservation" ADD CONSTRAINT "StockReservation_quoteId_fkey" FOREIGN KEY ("quoteId") REFERENCES "Quote"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
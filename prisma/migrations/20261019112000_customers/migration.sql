@@ -0,0 +1,82 @@
+-- CreateEnum
+CREATE TYPE "AddressKind" AS ENUM ('POSTAL', 'DELIVERY', 'OTHER');
+
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "customerId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "Customer" (
+    "id" SERIAL NOT NULL,
+    "exoDebtorId" INTEGER,
+    "name" TEXT NOT NULL,
+    "email" TEXT,
+    "phone" TEXT,
+    "priceLevel" INTEGER,
+    "notes" TEXT,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "lastModified" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Customer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CustomerContact" (
+    "id" SERIAL NOT NULL,
+    "customerId" INTEGER NOT NULL,
+    "fromExo" BOOLEAN NOT NULL DEFAULT false,
+    "name" TEXT NOT NULL,
+    "email" TEXT,
+    "phone" TEXT,
+    "mobile" TEXT,
+    "position" TEXT,
+    "isPrimary" BOOLEAN NOT NULL DEFAULT false,
+
+    CONSTRAINT "CustomerContact_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CustomerAddress" (
+    "id" SERIAL NOT NULL,
+    "customerId" INTEGER NOT NULL,
+    "fromExo" BOOLEAN NOT NULL DEFAULT false,
+    "kind" "AddressKind" NOT NULL DEFAULT 'POSTAL',
+    "line1" TEXT,
+    "line2" TEXT,
+    "line3" TEXT,
+    "city" TEXT,
+    "state" TEXT,
+    "postcode" TEXT,
+    "country" TEXT,
+
+    CONSTRAINT "CustomerAddress_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Customer_exoDebtorId_key" ON "Customer"("exoDebtorId");
+
+-- CreateIndex
+CREATE INDEX "Customer_name_idx" ON "Customer"("name");
+
+-- CreateIndex
+CREATE INDEX "CustomerContact_customerId_idx" ON "CustomerContact"("customerId");
+
+-- CreateIndex
+CREATE INDEX "CustomerContact_email_idx" ON "CustomerContact"("email");
+
+-- CreateIndex
+CREATE INDEX "CustomerAddress_customerId_idx" ON "CustomerAddress"("customerId");
+
+-- CreateIndex
+CREATE INDEX "Quote_customerId_idx" ON "Quote"("customerId");
+
+-- AddForeignKey
+ALTER TABLE "Quote" ADD CONSTRAINT "Quote_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerContact" ADD CONSTRAINT "CustomerContact_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomerAddress" ADD CONSTRAINT "CustomerAddress_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
@@ -0,0 +1,52 @@
+-- CreateEnum
+CREATE TYPE "EmailKind" AS ENUM ('QUOTE', 'REMINDER', 'STAFF_NOTIFICATION');
+
+-- CreateEnum
+CREATE TYPE "EmailStatus" AS ENUM ('QUEUED', 'SENT', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN     "remindersEnabled" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "remindersSent" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "EmailTemplate" (
+    "key" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "html" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "updatedBy" TEXT,
+
+    CONSTRAINT "EmailTemplate_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateTable
+CREATE TABLE "EmailMessage" (
+    "id" SERIAL NOT NULL,
+    "quoteId" INTEGER,
+    "kind" "EmailKind" NOT NULL,
+    "revision" INTEGER,
+    "to" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "html" TEXT NOT NULL,
+    "attachment" BYTEA,
+    "attachmentName" TEXT,
+    "status" "EmailStatus" NOT NULL DEFAULT 'QUEUED',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP,
+    "lastError" TEXT,
+    "messageId" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "EmailMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "EmailMessage_status_nextAttemptAt_idx" ON "EmailMessage"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "EmailMessage_quoteId_createdAt_idx" ON "EmailMessage"("quoteId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "EmailMessage" ADD CONSTRAINT "EmailMessage_quoteId_fkey" FOREIGN KEY ("quoteId") REFERENCES "Quote"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
@@ -0,0 +1,38 @@
+// Shared by the staff pages: who is signed in, signing out, and sending anyone whose
+// session has lapsed back to /login.html. Pages opened with a customer share link
+// (?token=) are left alone.
+(function () {
+  const customerLink = new URLSearchParams(location.search).has('token');
+  const realFetch = window.fetch.bind(window);
+
+  function toLogin() {
+    location.href = `/login.html?next=${encodeURIComponent(location.pathname + location.search)}`;
+  }
+
+  // Any API call answering 401 means the session has gone
+  window.fetch = async (...args) => {
+    const res = await realFetch(...args);
+    if (res.status === 401 && !customerLink) toLogin();
+    return res;
+  };
+
+  // Resolves to { id, email, name, role } (null on a customer link)
+  window.currentStaff = customerLink
+    ? Promise.resolve(null)
+    : realFetch('/auth/me').then(r => (r.ok ? r.json() : (toLogin(), null))).catch(() => null);
+
+  window.currentStaff.then(me => {
+    const bar = document.getElementById('staff-bar');
+    if (!me || !bar) return;
+    const who = document.createElement('span');
+    who.textContent = `${me.name || me.email} · ${me.role.toLowerCase()}`;
+    const out = document.createElement('button');
+    out.textContent = 'Sign out';
+    out.className = 'ml-3 underline';
+    out.addEventListener('click', async () => {
+      await realFetch('/auth/logout', { method: 'POST' });
+      location.href = '/login.html';
+    });
+    bar.replaceChildren(who, out);
+  });
+})();
@@ -0,0 +1,249 @@
+// routes/auth.js
+const express = require('express');
+const {
+  ROLES, MIN_PASSWORD_LENGTH, hashPassword, verifyPassword, newApiKey,
+} = require('../lib/auth');
+
+// Login failures allowed per IP+email before a cool-off
+const MAX_FAILURES = 10;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+module.exports = function makeAuthRouter(prisma, auth) {
+  const router = express.Router();
+  const admin = auth.requireRole('ADMIN');
+
+  // ---- Helpers
+  const failures = new Map(); // `${ip}|${email}` → { count, since }
+
+  function throttled(key) {
+    const f = failures.get(key);
+    if (!f) return false;
+    if (Date.now() - f.since > FAILURE_WINDOW_MS) { failures.delete(key); return false; }
+    return f.count >= MAX_FAILURES;
+  }
+
+  function recordFailure(key) {
+    const f = failures.get(key);
+    if (!f || Date.now() - f.since > FAILURE_WINDOW_MS) failures.set(key, { count: 1, since: Date.now() });
+    else f.count++;
+  }
+
+  const normEmail = (v) => String(v ?? '').trim().toLowerCase();
+
+  // Unknown emails still pay for a hash check, so response times don't reveal which exist
+  let dummyHash = null;
+  const placeholderHash = async () => (dummyHash ??= await hashPassword('placeholder-password'));
+
+  const presentUser = (u) => ({
+    id: u.id, email: u.email, name: u.name, role: u.role, active: u.active,
+    lastLoginAt: u.lastLoginAt, createdAt: u.createdAt,
+  });
+
+  const presentKey = (k) => ({
+    id: k.id, name: k.name, prefix: k.prefix, role: k.role,
+    createdAt: k.createdAt, lastUsedAt: k.lastUsedAt, revokedAt: k.revokedAt,
+  });
+
+  function passwordProblem(pw) {
+    if (typeof pw !== 'string' || pw.length < MIN_PASSWORD_LENGTH) {
+      return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  // Would this change leave nobody able to administer the app?
+  async function removesLastAdmin(user, next) {
+    if (user.role !== 'ADMIN' || !user.active) return false;
+    if ((next.role ?? user.role) === 'ADMIN' && (next.active ?? user.active)) return false;
+    const others = await prisma.staffUser.count({ where: { role: 'ADMIN', active: true, id: { not: user.id } } });
+    return others === 0;
+  }
+
+  // ---- Session
+
+  // { email, password } → sets the session cookie
+  router.post('/login', async (req, res) => {
+    try {
+      const email = normEmail(req.body?.email);
+      const password = req.body?.password;
+      if (!email || typeof password !== 'string') return res.status(400).json({ error: 'email and password required' });
+
+      const key = `${req.ip}|${email}`;
+      if (throttled(key)) return res.status(429).json({ error: 'Too many failed attempts; try again later' });
+
+      const user = await prisma.staffUser.findUnique({ where: { email } });
+      const ok = await verifyPassword(password, user?.passwordHash ?? await placeholderHash()) && user?.active;
+      if (!ok) {
+        recordFailure(key);
+        return res.status(401).json({ error: 'Wrong email or password' });
+      }
+      failures.delete(key);
+
+      await prisma.staffSession.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+      const { token, session } = await auth.startSession(user, req);
+      await prisma.staffUser.update({ where: { id: user.id }, data: { lastLoginAt: new Date() } });
+      auth.setSessionCookie(req, res, token, session.expiresAt);
+      res.json({ user: presentUser(user), expiresAt: session.expiresAt });
+    } catch (e) {
+      console.error('POST /auth/login', e);
+      res.status(500).json({ error: 'Login failed' });
+    }
+  });
+
+  router.post('/logout', async (req, res) => {
+    try {
+      if (req.staff?.sessionId) await prisma.staffSession.deleteMany({ where: { id: req.staff.sessionId } });
+      auth.clearSessionCookie(res);
+      res.json({ ok: true });
+    } catch (e) {
+      console.error('POST /auth/logout', e);
+      res.status(500).json({ error: 'Logout failed' });
+    }
+  });
+
+  router.get('/me', (req, res) => {
+    if (!req.staff) return res.status(401).json({ error: 'Sign in required' });
+    const { id, email, name, role, via } = req.staff;
+    res.json({ id, email, name, role, via });
+  });
+
+  // { currentPassword, newPassword }; signs out the user's other sessions
+  router.post('/password', async (req, res) => {
+    try {
+      if (req.staff?.via !== 'session') return res.status(401).json({ error: 'Sign in required' });
+      const { currentPassword, newPassword } = req.body || {};
+      const problem = passwordProblem(newPassword);
+      if (problem) return res.status(400).json({ error: problem });
+
+      const user = await prisma.staffUser.findUnique({ where: { id: req.staff.id } });
+      if (!await verifyPassword(currentPassword ?? '', user.passwordHash)) {
+        return res.status(403).json({ error: 'Current password is wrong' });
+      }
+      await prisma.$transaction([
+        prisma.staffUser.update({ where: { id: user.id }, data: { passwordHash: await hashPassword(newPassword) } }),
+        prisma.staffSession.deleteMany({ where: { userId: user.id, id: { not: req.staff.sessionId } } }),
+      ]);
+      res.json({ ok: true });
+    } catch (e) {
+      console.error('POST /auth/password', e);
+      res.status(500).json({ error: 'Failed to change password' });
+    }
+  });
+
+  // ---- Staff accounts (admin)
+
+  router.get('/users', admin, async (_req, res) => {
+    try {
+      const users = await prisma.staffUser.findMany({ orderBy: { email: 'asc' } });
+      res.json(users.map(presentUser));
+    } catch (e) {
+      console.error('GET /auth/users', e);
+      res.status(500).json({ error: 'Failed to fetch users' });
+    }
+  });
+
+  // { email, password, name?, role? }
+  router.post('/users', admin, async (req, res) => {
+    try {
+      const email = normEmail(req.body?.email);
+      const { password, name } = req.body || {};
+      const role = req.body?.role ?? 'SALES';
+      if (!email || !email.includes('@')) return res.status(400).json({ error: 'email required' });
+      if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+      const problem = passwordProblem(password);
+      if (problem) return res.status(400).json({ error: problem });
+
+      const user = await prisma.staffUser.create({
+        data: { email, name: name || null, role, passwordHash: await hashPassword(password) },
+      });
+      res.status(201).json(presentUser(user));
+    } catch (e) {
+      if (e?.code === 'P2002') return res.status(409).json({ error: 'A user with that email already exists' });
+      console.error('POST /auth/users', e);
+      res.status(500).json({ error: 'Failed to create user' });
+    }
+  });
+
+  // { name?, role?, active?, password? }. Deactivating or resetting the password ends their sessions.
+  router.patch('/users/:id', admin, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const { name, role, active, password } = req.body || {};
+      if (role !== undefined && !ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+      if (active !== undefined && typeof active !== 'boolean') return res.status(400).json({ error: 'active must be true or false' });
+      if (password !== undefined) {
+        const problem = passwordProblem(password);
+        if (problem) return res.status(400).json({ error: problem });
+      }
+
+      const user = await prisma.staffUser.findUnique({ where: { id } });
+      if (!user) return res.status(404).json({ error: 'Not found' });
+      if (await removesLastAdmin(user, { role, active })) {
+        return res.status(409).json({ error: 'At least one active admin is required' });
+      }
+
+      const updated = await prisma.staffUser.update({
+        where: { id },
+        data: {
+          name: name === undefined ? undefined : name || null,
+          role,
+          active,
+          passwordHash: password === undefined ? undefined : await hashPassword(password),
+        },
+      });
+      if (active === false || password !== undefined) {
+        await prisma.staffSession.deleteMany({ where: { userId: id } });
+      }
+      res.json(presentUser(updated));
+    } catch (e) {
+      console.error('PATCH /auth/users/:id', e);
+      res.status(500).json({ error: 'Failed to update user' });
+    }
+  });
+
+  // ---- API keys (admin)
+
+  router.get('/api-keys', admin, async (_req, res) => {
+    try {
+      const keys = await prisma.apiKey.findMany({ orderBy: { createdAt: 'desc' } });
+      res.json(keys.map(presentKey));
+    } catch (e) {
+      console.error('GET /auth/api-keys', e);
+      res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+  });
+
+  // { name, role? } → the key itself is only in this response
+  router.post('/api-keys', admin, async (req, res) => {
+    try {
+      const name = String(req.body?.name ?? '').trim();
+      const role = req.body?.role ?? 'READONLY';
+      if (!name) return res.status(400).json({ error: 'name required' });
+      if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+
+      const { key, prefix, keyHash } = newApiKey();
+      const row = await prisma.apiKey.create({ data: { name, role, prefix, keyHash } });
+      res.status(201).json({ ...presentKey(row), key });
+    } catch (e) {
+      console.error('POST /auth/api-keys', e);
+      res.status(500).json({ error: 'Failed to create API key' });
+    }
+  });
+
+  // Revoke (kept for the record)
+  router.delete('/api-keys/:id', admin, async (req, res) => {
+    try {
+      const { count } = await prisma.apiKey.updateMany({
+        where: { id: Number(req.params.id), revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+      if (!count) return res.status(404).json({ error: 'Not found' });
+      res.json({ ok: true });
+    } catch (e) {
+      console.error('DELETE /auth/api-keys/:id', e);
+      res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+  });
+
+  return router;
+};
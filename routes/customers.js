@@ -0,0 +1,148 @@
+// routes/customers.js
+const express = require('express');
+const { parseCustomerInput, customerSearchWhere } = require('../lib/customers');
+const { QUOTE_TRANSITIONS } = require('../lib/quoteLifecycle');
+
+// Customers come from two places: EXO debtors (kept up to date by the customer sync, so
+// only notes and our own contacts/addresses are editable here) and local prospects, which
+// are ours entirely. Reading needs READONLY, changing SALES.
+module.exports = function makeCustomersRouter(prisma, { auth }) {
+  const router = express.Router();
+  const staff = auth.requireRole('READONLY');
+  const sales = auth.requireRole('SALES');
+
+  const DETAIL_INCLUDE = {
+    contacts: { orderBy: [{ isPrimary: 'desc' }, { name: 'asc' }] },
+    addresses: { orderBy: { id: 'asc' } },
+  };
+
+  const parseId = (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n > 0 ? n : null;
+  };
+
+  // Local contacts/addresses replace the local ones; EXO-synced rows are left alone
+  function replaceLocalRows(customerId, contacts, addresses) {
+    const ops = [];
+    if (contacts) {
+      ops.push(prisma.customerContact.deleteMany({ where: { customerId, fromExo: false } }));
+      ops.push(prisma.customerContact.createMany({ data: contacts.map(c => ({ ...c, customerId })) }));
+    }
+    if (addresses) {
+      ops.push(prisma.customerAddress.deleteMany({ where: { customerId, fromExo: false } }));
+      ops.push(prisma.customerAddress.createMany({ data: addresses.map(a => ({ ...a, customerId })) }));
+    }
+    return ops;
+  }
+
+  // Search: ?q= (name, email, phone, contact, or EXO account number), ?take= (max 100),
+  // ?includeInactive=true for debtors EXO has closed
+  router.get('/', staff, async (req, res) => {
+    try {
+      const take = Math.min(Math.max(Number(req.query.take) || 25, 1), 100);
+      const customers = await prisma.customer.findMany({
+        where: customerSearchWhere({ q: req.query.q, includeInactive: req.query.includeInactive === 'true' }),
+        orderBy: [{ name: 'asc' }, { id: 'asc' }],
+        take,
+        include: { contacts: { where: { isPrimary: true }, take: 1 } },
+      });
+      res.json(customers.map(({ contacts, ...c }) => ({ ...c, primaryContact: contacts[0] ?? null })));
+    } catch (e) {
+      console.error('GET /customers', e);
+      res.status(500).json({ error: 'Failed to search customers' });
+    }
+  });
+
+  router.get('/:id', staff, async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      const customer = id && await prisma.customer.findUnique({ where: { id }, include: DETAIL_INCLUDE });
+      if (!customer) return res.status(404).json({ error: 'Not found' });
+      res.json(customer);
+    } catch (e) {
+      console.error('GET /customers/:id', e);
+      res.status(500).json({ error: 'Failed to fetch customer' });
+    }
+  });
+
+  // New prospect (not in EXO yet): { name, email?, phone?, priceLevel?, notes?, contacts?, addresses? }
+  router.post('/', sales, async (req, res) => {
+    try {
+      const { data, contacts, addresses, error } = parseCustomerInput(req.body || {});
+      if (error) return res.status(400).json({ error });
+      const customer = await prisma.customer.create({
+        data: {
+          ...data,
+          contacts: contacts ? { create: contacts } : undefined,
+          addresses: addresses ? { create: addresses } : undefined,
+        },
+        include: DETAIL_INCLUDE,
+      });
+      res.status(201).json(customer);
+    } catch (e) {
+      console.error('POST /customers', e);
+      res.status(500).json({ error: 'Failed to create customer' });
+    }
+  });
+
+  // Prospects: any field. EXO customers: notes, plus local contacts/addresses (the rest would be
+  // overwritten by the next sync, so it's refused rather than silently lost).
+  router.patch('/:id', sales, async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      const existing = id && await prisma.customer.findUnique({ where: { id } });
+      if (!existing) return res.status(404).json({ error: 'Not found' });
+
+      const { data, contacts, addresses, error } = parseCustomerInput(req.body || {}, { partial: true });
+      if (error) return res.status(400).json({ error });
+      if (existing.exoDebtorId != null) {
+        const fromExo = Object.keys(data).filter(k => k !== 'notes');
+        if (fromExo.length) {
+          return res.status(409).json({ error: `${fromExo.join(', ')} come from EXO for this customer; change them in EXO` });
+        }
+      }
+      if (req.body?.active !== undefined) {
+        if (typeof req.body.active !== 'boolean') return res.status(400).json({ error: 'active must be true or false' });
+        if (existing.exoDebtorId != null) return res.status(409).json({ error: 'active comes from EXO for this customer' });
+        data.active = req.body.active;
+      }
+
+      await prisma.$transaction([
+        prisma.customer.update({ where: { id }, data }),
+        ...replaceLocalRows(id, contacts, addresses),
+      ]);
+      res.json(await prisma.customer.findUnique({ where: { id }, include: DETAIL_INCLUDE }));
+    } catch (e) {
+      console.error('PATCH /customers/:id', e);
+      res.status(500).json({ error: 'Failed to update customer' });
+    }
+  });
+
+  // Quote history for a customer, newest first (?status= to filter)
+  router.get('/:id/quotes', staff, async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      const customer = id && await prisma.customer.findUnique({ where: { id }, select: { id: true } });
+      if (!customer) return res.status(404).json({ error: 'Not found' });
+      const { status } = req.query;
+      if (status !== undefined && !QUOTE_TRANSITIONS[status]) {
+        return res.status(400).json({ error: `status must be one of ${Object.keys(QUOTE_TRANSITIONS).join(', ')}` });
+      }
+      const quotes = await prisma.quote.findMany({
+        where: { customerId: id, status },
+        orderBy: { createdAt: 'desc' },
+        take: 200,
+        select: {
+          id: true, status: true, revision: true, currency: true, total: true,
+          createdAt: true, validUntil: true, exoOrderId: true, _count: { select: { items: true } },
+        },
+      });
+      res.json(quotes.map(({ _count, ...q }) => ({ ...q, itemCount: _count.items })));
+    } catch (e) {
+      console.error('GET /customers/:id/quotes', e);
+      res.status(500).json({ error: 'Failed to fetch customer quotes' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,128 @@
+// routes/emailTemplates.js
+const express = require('express');
+const { TEMPLATES, templateError, render, loadTemplate } = require('../lib/quoteEmails');
+
+const MAX_SUBJECT = 300;
+const MAX_HTML = 100 * 1024;
+
+// What previews are filled with (any variable not listed shows as its own name)
+const SAMPLE = {
+  quoteId: 1234,
+  customerName: 'Sam Sample <Acme & Co>',
+  message: 'Thanks for your time today.<br/>Here is the quote we discussed.',
+  link: 'https://example.com/quote.html?id=1234&token=sample',
+  validUntil: '30/11/2026',
+  daysLeft: 7,
+  total: 'AUD 1,234.50',
+  summary: '<p><strong>Summary</strong></p><p>2 × Sample product — AUD 617.25 each</p>',
+  brandName: 'Sample Supplies',
+  decision: 'accepted',
+  customer: 'Sam Sample',
+  revision: 2,
+  signerName: 'Sam Sample',
+  poNumber: 'PO-5678',
+  reason: '',
+  respondedAt: '2026-10-19T09:30:00.000Z',
+  ip: '203.0.113.7',
+  staffLink: 'https://example.com/quote.html?id=1234',
+};
+
+// Admin-only (mounted behind adminOnly): the wording of outgoing emails
+module.exports = function makeEmailTemplatesRouter(prisma) {
+  const router = express.Router();
+
+  const known = (key) => Object.prototype.hasOwnProperty.call(TEMPLATES, key);
+  const describe = (t) => ({
+    ...t,
+    description: TEMPLATES[t.key].description,
+    variables: TEMPLATES[t.key].vars,
+    htmlVariables: TEMPLATES[t.key].html,
+  });
+
+  // { subject, html } from the body → { value } or { error }; missing parts keep `current`
+  function parseTemplate(key, body, current) {
+    const subject = body?.subject === undefined ? current.subject : body.subject;
+    const html = body?.html === undefined ? current.html : body.html;
+    if (typeof subject !== 'string' || !subject.trim()) return { error: 'subject must be non-empty text' };
+    if (typeof html !== 'string' || !html.trim()) return { error: 'html must be non-empty text' };
+    if (subject.length > MAX_SUBJECT) return { error: `subject is limited to ${MAX_SUBJECT} characters` };
+    if (html.length > MAX_HTML) return { error: 'html is limited to 100 KB' };
+    const error = templateError(key, subject) || templateError(key, html);
+    return error ? { error } : { value: { subject: subject.trim(), html } };
+  }
+
+  router.get('/', async (_req, res) => {
+    try {
+      const templates = await Promise.all(Object.keys(TEMPLATES).map(key => loadTemplate(prisma, key)));
+      res.json(templates.map(describe));
+    } catch (e) {
+      console.error('GET /email-templates', e);
+      res.status(500).json({ error: 'Failed to fetch email templates' });
+    }
+  });
+
+  router.get('/:key', async (req, res) => {
+    try {
+      if (!known(req.params.key)) return res.status(404).json({ error: 'Not found' });
+      res.json(describe(await loadTemplate(prisma, req.params.key)));
+    } catch (e) {
+      console.error('GET /email-templates/:key', e);
+      res.status(500).json({ error: 'Failed to fetch email template' });
+    }
+  });
+
+  // { subject?, html? } → the saved template. Emails already queued keep their wording.
+  router.put('/:key', async (req, res) => {
+    try {
+      const { key } = req.params;
+      if (!known(key)) return res.status(404).json({ error: 'Not found' });
+      const { value, error } = parseTemplate(key, req.body, await loadTemplate(prisma, key));
+      if (error) return res.status(400).json({ error });
+
+      const updatedBy = req.staff.email || req.staff.name || null;
+      await prisma.emailTemplate.upsert({
+        where: { key },
+        update: { ...value, updatedBy },
+        create: { key, ...value, updatedBy },
+      });
+      res.json(describe(await loadTemplate(prisma, key)));
+    } catch (e) {
+      console.error('PUT /email-templates/:key', e);
+      res.status(500).json({ error: 'Failed to save email template' });
+    }
+  });
+
+  // Back to the built-in wording
+  router.delete('/:key', async (req, res) => {
+    try {
+      const { key } = req.params;
+      if (!known(key)) return res.status(404).json({ error: 'Not found' });
+      await prisma.emailTemplate.deleteMany({ where: { key } });
+      res.json(describe(await loadTemplate(prisma, key)));
+    } catch (e) {
+      console.error('DELETE /email-templates/:key', e);
+      res.status(500).json({ error: 'Failed to reset email template' });
+    }
+  });
+
+  // Render with sample values: the saved template, or { subject?, html? } to try a draft first
+  router.post('/:key/preview', async (req, res) => {
+    try {
+      const { key } = req.params;
+      if (!known(key)) return res.status(404).json({ error: 'Not found' });
+      const { value, error } = parseTemplate(key, req.body, await loadTemplate(prisma, key));
+      if (error) return res.status(400).json({ error });
+
+      const vars = Object.fromEntries(Object.keys(TEMPLATES[key].vars).map(name => [name, SAMPLE[name] ?? name]));
+      res.json({
+        subject: render(key, value.subject, vars, { asText: true }),
+        html: render(key, value.html, vars),
+      });
+    } catch (e) {
+      console.error('POST /email-templates/:key/preview', e);
+      res.status(500).json({ error: 'Failed to preview email template' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,56 @@
+// routes/exchangeRates.js
+const express = require('express');
+const { parseCurrency, parseRate } = require('../lib/exchangeRates');
+
+// Mounted behind staff sign-in; changing rates needs ADMIN
+module.exports = function makeExchangeRatesRouter(prisma, { auth, base }) {
+  const router = express.Router();
+  const admin = auth.requireRole('ADMIN');
+
+  // { base, rates: [{ currency, rate, updatedAt, updatedBy }] }
+  router.get('/', async (_req, res) => {
+    try {
+      const rates = await prisma.exchangeRate.findMany({ orderBy: { currency: 'asc' } });
+      res.json({ base, rates });
+    } catch (e) {
+      console.error('GET /exchange-rates', e);
+      res.status(500).json({ error: 'Failed to fetch exchange rates' });
+    }
+  });
+
+  // Set a rate: { rate } = units of :currency per 1 base. Quotes already priced keep their rate.
+  router.put('/:currency', admin, async (req, res) => {
+    try {
+      const currency = parseCurrency(req.params.currency);
+      if (!currency) return res.status(400).json({ error: 'currency must be a 3-letter ISO code' });
+      if (currency === base) return res.status(400).json({ error: `${base} is the base currency` });
+      const { value, error } = parseRate(req.body?.rate);
+      if (error) return res.status(400).json({ error });
+
+      const updatedBy = req.staff.email || req.staff.name || null;
+      const row = await prisma.exchangeRate.upsert({
+        where: { currency },
+        update: { rate: value, updatedBy },
+        create: { currency, rate: value, updatedBy },
+      });
+      res.json(row);
+    } catch (e) {
+      console.error('PUT /exchange-rates/:currency', e);
+      res.status(500).json({ error: 'Failed to save exchange rate' });
+    }
+  });
+
+  // Stop offering a currency for new quotes
+  router.delete('/:currency', admin, async (req, res) => {
+    try {
+      const { count } = await prisma.exchangeRate.deleteMany({ where: { currency: parseCurrency(req.params.currency) ?? '' } });
+      if (!count) return res.status(404).json({ error: 'Not found' });
+      res.json({ ok: true });
+    } catch (e) {
+      console.error('DELETE /exchange-rates/:currency', e);
+      res.status(500).json({ error: 'Failed to delete exchange rate' });
+    }
+  });
+
+  return router;
+};
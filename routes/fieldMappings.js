@@ -0,0 +1,87 @@
+// routes/fieldMappings.js
+const express = require('express');
+const { DEFAULT_FIELD_MAPPINGS, parseMappingInput } = require('../lib/fieldMappings');
+
+module.exports = function makeFieldMappingsRouter(prisma) {
+  const router = express.Router();
+
+  // Mapping changes don't bump EXO's lastModified, so make the next auto sync a full one
+  async function requestFullResync() {
+    await prisma.syncState.updateMany({ where: { key: 'products' }, data: { lastFullSyncAt: null } });
+  }
+
+  function sendPrismaError(res, e, what) {
+    if (e?.code === 'P2002') return res.status(409).json({ error: 'A mapping for that target already exists' });
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'Not found' });
+    console.error(what, e);
+    res.status(500).json({ error: 'Failed to save mapping' });
+  }
+
+  // List mappings
+  router.get('/', async (_req, res) => {
+    try {
+      const mappings = await prisma.fieldMapping.findMany({ orderBy: { id: 'asc' } });
+      res.json(mappings);
+    } catch (e) {
+      console.error('GET /field-mappings', e);
+      res.status(500).json({ error: 'Failed to fetch mappings' });
+    }
+  });
+
+  // Create a mapping: { target, aliases: [...], type?, enabled? }
+  router.post('/', async (req, res) => {
+    const { data, error } = parseMappingInput(req.body);
+    if (error) return res.status(400).json({ error });
+    try {
+      const m = await prisma.fieldMapping.create({ data });
+      await requestFullResync();
+      res.status(201).json(m);
+    } catch (e) {
+      sendPrismaError(res, e, 'POST /field-mappings');
+    }
+  });
+
+  // Restore the built-in column mappings (custom attributes.* mappings are kept)
+  router.post('/reset', async (_req, res) => {
+    try {
+      await prisma.$transaction(DEFAULT_FIELD_MAPPINGS.map(({ target, aliases }) =>
+        prisma.fieldMapping.upsert({
+          where: { target },
+          update: { aliases, enabled: true },
+          create: { target, aliases },
+        })
+      ));
+      await requestFullResync();
+      const mappings = await prisma.fieldMapping.findMany({ orderBy: { id: 'asc' } });
+      res.json(mappings);
+    } catch (e) {
+      sendPrismaError(res, e, 'POST /field-mappings/reset');
+    }
+  });
+
+  // Update a mapping
+  router.patch('/:id', async (req, res) => {
+    const { data, error } = parseMappingInput(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+    try {
+      const m = await prisma.fieldMapping.update({ where: { id: Number(req.params.id) }, data });
+      await requestFullResync();
+      res.json(m);
+    } catch (e) {
+      sendPrismaError(res, e, 'PATCH /field-mappings/:id');
+    }
+  });
+
+  // Delete a mapping
+  router.delete('/:id', async (req, res) => {
+    try {
+      await prisma.fieldMapping.delete({ where: { id: Number(req.params.id) } });
+      await requestFullResync();
+      res.json({ ok: true });
+    } catch (e) {
+      sendPrismaError(res, e, 'DELETE /field-mappings/:id');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,298 @@
+// routes/products.js
+const express = require('express');
+const { presentDimensions } = require('../lib/dimensions');
+const { IMAGE_SIZES, imageKey, imageUrl, presentImage } = require('../lib/productImages');
+const { parseProductFilters, buildProductWhere, parseSort, parsePaging } = require('../lib/productSearch');
+const { changeKindWhere, presentChange } = require('../lib/productHistory');
+const { reservedByProduct, availableToQuote } = require('../lib/stockReservations');
+const { csvRow } = require('../lib/csv');
+
+const MAX_CHANGES = 500;
+const EXPORT_BATCH = 500;
+
+// Catalogue CSV columns: [header, product (with availability and dimensions) → value]
+const EXPORT_COLUMNS = [
+  ['Stock code', p => p.stockCode],
+  ['Name', p => p.name],
+  ['SKU', p => p.sku],
+  ['Status', p => p.status],
+  ['Price', p => (p.hasSellPrice ? Number(p.price).toFixed(2) : '')],
+  ['Tax code', p => p.taxCode],
+  ['Tax rate %', p => (p.taxRate == null ? '' : Number(p.taxRate))],
+  ['In stock', p => p.stockLevel],
+  ['Reserved', p => p.reserved],
+  ['Available to quote', p => p.availableToQuote],
+  ['Origin', p => p.origin],
+  ['Size', p => p.dimensions.size],
+  ['Length (cm)', p => p.lengthCm],
+  ['Width (cm)', p => p.widthCm],
+  ['Area (m²)', p => p.areaM2],
+  ['Updated', p => p.updatedAt],
+];
+
+module.exports = function makeProductsRouter(prisma, { imageStore, auth }) {
+  const router = express.Router();
+  const staff = auth.requireRole('READONLY');
+
+  // First image only, for list thumbnails
+  const firstImage = { images: { orderBy: { position: 'asc' }, take: 1, select: { id: true } } };
+
+  // Adds a `dimensions` block formatted in the requested unit system, plus `thumbnailUrl`
+  // when the row was loaded with `firstImage`
+  function withDimensions(product, units) {
+    const { images, ...rest } = product;
+    const out = { ...rest, dimensions: presentDimensions(product, units) };
+    if (images) out.thumbnailUrl = images[0] ? imageUrl(product.stockCode, images[0].id, 'thumb') : null;
+    return out;
+  }
+
+  // Adds `reserved` (held by sent quotes) and `availableToQuote` (stockLevel less that)
+  async function withAvailability(products) {
+    const reserved = await reservedByProduct(prisma, products.map(p => p.id));
+    return products.map(p => ({
+      ...p,
+      reserved: reserved.get(p.id) || 0,
+      availableToQuote: availableToQuote(p.stockLevel, reserved.get(p.id)),
+    }));
+  }
+
+  // Counts per origin / location / in-stock. Each facet ignores its own filter so the
+  // UI can show the alternatives, but honours all the others.
+  async function productFacets(filters) {
+    const [origins, locations, inStock] = await Promise.all([
+      prisma.product.groupBy({
+        by: ['origin'],
+        where: buildProductWhere(filters, { except: 'origin' }),
+        _count: { _all: true },
+      }),
+      prisma.productStock.groupBy({
+        by: ['locationId', 'locationName'],
+        where: { inStock: { gt: 0 }, Product: buildProductWhere(filters, { except: 'location' }) },
+        _count: { _all: true },
+      }),
+      prisma.product.count({
+        where: { AND: [buildProductWhere(filters, { except: 'inStock' }), { stockLevel: { gt: 0 } }] },
+      }),
+    ]);
+
+    return {
+      origin: origins
+        .filter(o => o.origin)
+        .map(o => ({ value: o.origin, count: o._count._all }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+      location: locations
+        .map(l => ({ value: l.locationId, label: l.locationName || l.locationId, count: l._count._all }))
+        .sort((a, b) => a.label.localeCompare(b.label)),
+      inStock,
+    };
+  }
+
+  // List/search products. Filters (see lib/productSearch): q, status, location, origin,
+  // minLength/maxLength/minWidth/maxWidth (cm), minPrice/maxPrice, inStock; plus sort= and units=.
+  // Each product carries `reserved` and `availableToQuote`.
+  // Without page= this returns a plain array capped by take (what older callers expect);
+  // with page=&pageSize= it returns { items, total, page, pageSize, pages, sort, facets }.
+  router.get('/', staff, async (req, res) => {
+    try {
+      const { filters, error } = parseProductFilters(req.query);
+      if (error) return res.status(400).json({ error });
+      const { sort, orderBy, error: sortError } = parseSort(req.query.sort);
+      if (sortError) return res.status(400).json({ error: sortError });
+
+      const where = buildProductWhere(filters);
+
+      if (req.query.page === undefined) {
+        const take = Math.min(parseInt(req.query.take || '500', 10), 1000);
+        const products = await prisma.product.findMany({ where, orderBy, take, include: firstImage });
+        return res.json((await withAvailability(products)).map(p => withDimensions(p, req.query.units)));
+      }
+
+      const { page, pageSize, skip, take } = parsePaging(req.query);
+      const [total, products, facets] = await Promise.all([
+        prisma.product.count({ where }),
+        prisma.product.findMany({ where, orderBy, skip, take, include: firstImage }),
+        productFacets(filters),
+      ]);
+      res.json({
+        items: (await withAvailability(products)).map(p => withDimensions(p, req.query.units)),
+        total,
+        page,
+        pageSize,
+        pages: Math.ceil(total / pageSize),
+        sort,
+        facets,
+      });
+    } catch (err) {
+      console.error('Failed to fetch products:', err?.message || err);
+      res.status(500).json({ error: 'Failed to fetch products' });
+    }
+  });
+
+  // Whole result set of a GET /products search as CSV (same filters, sort= and units=; no paging).
+  // Streamed in batches so a full catalogue export doesn't sit in memory.
+  router.get('/export.csv', staff, async (req, res) => {
+    try {
+      const { filters, error } = parseProductFilters(req.query);
+      if (error) return res.status(400).json({ error });
+      const { orderBy, error: sortError } = parseSort(req.query.sort);
+      if (sortError) return res.status(400).json({ error: sortError });
+      const where = buildProductWhere(filters);
+
+      const day = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="products-${day}.csv"`);
+      res.write('\uFEFF'); // so Excel reads it as UTF-8
+      res.write(csvRow(EXPORT_COLUMNS.map(([header]) => header)));
+      for (let skip = 0; ; skip += EXPORT_BATCH) {
+        const batch = await prisma.product.findMany({ where, orderBy, skip, take: EXPORT_BATCH });
+        for (const p of await withAvailability(batch)) {
+          const row = withDimensions(p, req.query.units);
+          res.write(csvRow(EXPORT_COLUMNS.map(([, value]) => value(row))));
+        }
+        if (batch.length < EXPORT_BATCH) break;
+      }
+      res.end();
+    } catch (e) {
+      console.error('GET /products/export.csv', e);
+      // Rows already went out with a 200; drop the connection so the download fails instead
+      // of looking complete
+      if (res.headersSent) return res.destroy();
+      res.status(500).json({ error: 'Failed to export products' });
+    }
+  });
+
+  // ?kind=price,stock,status,attributes &since=<ISO date> &limit= → { where, take } or { error }
+  function parseChangeQuery(query) {
+    const { where, error } = changeKindWhere(query.kind);
+    if (error) return { error };
+    const and = [where];
+    if (query.since) {
+      const since = new Date(query.since);
+      if (Number.isNaN(since.getTime())) return { error: 'since must be a date' };
+      and.push({ changedAt: { gte: since } });
+    }
+    const take = Math.min(Math.max(1, parseInt(query.limit || '100', 10) || 100), MAX_CHANGES);
+    return { where: { AND: and }, take };
+  }
+
+  // Recently changed across the catalogue, newest first
+  router.get('/changes', staff, async (req, res) => {
+    try {
+      const { where, take, error } = parseChangeQuery(req.query);
+      if (error) return res.status(400).json({ error });
+      const changes = await prisma.productChange.findMany({
+        where,
+        orderBy: [{ changedAt: 'desc' }, { id: 'desc' }],
+        take,
+        include: { Product: { select: { stockCode: true, name: true } } },
+      });
+      res.json(changes.map(c => ({ ...presentChange(c), stockCode: c.Product.stockCode, name: c.Product.name })));
+    } catch (e) {
+      console.error('GET /products/changes', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Single product by stockCode (for product page); accepts ?units= like the list
+  router.get('/:stockCode', staff, async (req, res) => {
+    try {
+      const product = await prisma.product.findUnique({
+        where: { stockCode: req.params.stockCode },
+        include: firstImage,
+      });
+      if (!product) return res.status(404).json({ error: 'Not found' });
+      const [withStock] = await withAvailability([product]);
+      res.json(withDimensions(withStock, req.query.units));
+    } catch (e) {
+      console.error('GET /products/:stockCode', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Per-location stock for a product
+  router.get('/:stockCode/stock', staff, async (req, res) => {
+    try {
+      const product = await prisma.product.findUnique({
+        where: { stockCode: req.params.stockCode },
+        select: {
+          stockCode: true,
+          stockLevel: true,
+          stock: {
+            orderBy: { locationId: 'asc' },
+            select: { locationId: true, locationName: true, inStock: true, free: true, committed: true, updatedAt: true },
+          },
+        },
+      });
+      if (!product) return res.status(404).json({ error: 'Not found' });
+      res.json({ stockCode: product.stockCode, total: product.stockLevel, locations: product.stock });
+    } catch (e) {
+      console.error('GET /products/:stockCode/stock', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Change timeline for a product, newest first; same filters as /changes
+  router.get('/:stockCode/history', staff, async (req, res) => {
+    try {
+      const { where, take, error } = parseChangeQuery(req.query);
+      if (error) return res.status(400).json({ error });
+      const product = await prisma.product.findUnique({
+        where: { stockCode: req.params.stockCode },
+        select: { id: true, stockCode: true },
+      });
+      if (!product) return res.status(404).json({ error: 'Not found' });
+
+      const changes = await prisma.productChange.findMany({
+        where: { AND: [where, { productId: product.id }] },
+        orderBy: [{ changedAt: 'desc' }, { id: 'desc' }],
+        take,
+      });
+      res.json({ stockCode: product.stockCode, changes: changes.map(presentChange) });
+    } catch (e) {
+      console.error('GET /products/:stockCode/history', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Images for a product, in display order
+  router.get('/:stockCode/images', staff, async (req, res) => {
+    try {
+      const product = await prisma.product.findUnique({
+        where: { stockCode: req.params.stockCode },
+        select: { stockCode: true, images: { orderBy: { position: 'asc' } } },
+      });
+      if (!product) return res.status(404).json({ error: 'Not found' });
+      res.json(product.images.map(img => presentImage(product.stockCode, img)));
+    } catch (e) {
+      console.error('GET /products/:stockCode/images', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // One rendition of an image: /products/:stockCode/images/:imageId/thumb|display.
+  // Not behind sign-in: customers' quote links show these thumbnails.
+  router.get('/:stockCode/images/:imageId/:size', async (req, res) => {
+    try {
+      const { size } = req.params;
+      if (!IMAGE_SIZES[size]) return res.status(404).json({ error: 'Unknown size' });
+      const id = Number(req.params.imageId);
+      // Anything that can't be an image id (an Int column) is simply not found
+      if (!Number.isInteger(id) || id <= 0 || id > 2 ** 31 - 1) return res.status(404).json({ error: 'Not found' });
+
+      const img = await prisma.productImage.findFirst({
+        where: { id, Product: { stockCode: req.params.stockCode } },
+      });
+      if (!img || !imageStore) return res.status(404).json({ error: 'Not found' });
+
+      res.set('Cache-Control', 'public, max-age=3600');
+      res.sendFile(imageStore.path(imageKey(img.id, size)), (err) => {
+        if (err && !res.headersSent) res.status(404).json({ error: 'Not found' });
+      });
+    } catch (e) {
+      console.error('GET /products/:stockCode/images/:imageId/:size', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,1356 @@
+// routes/quotes.js
+const express = require('express');
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { presentDimensions } = require('../lib/dimensions');
+const { imageUrl } = require('../lib/productImages');
+const { brandFromEnv, renderQuotePdf } = require('../lib/quotePdf');
+const { snapshotQuote, diffSnapshots } = require('../lib/quoteRevisions');
+const { pushQuoteToExo } = require('../lib/exoSalesOrders');
+const { sameSecret } = require('../lib/auth');
+const { recordEvent, quoteEventData } = require('../lib/webhooks');
+const { parseLineImport } = require('../lib/csv');
+const { makeTransporter, queueEmail, sendQueuedEmail, retryEmail } = require('../lib/emailOutbox');
+const {
+  renderEmail, quoteSentVars, responseVars, reminderDays, remindersPassed, publicQuoteLink,
+} = require('../lib/quoteEmails');
+const {
+  lineSubtotal, convertPrice, quoteTotals, parseDiscountPct, parseMoney, parseTaxRate, parseQty,
+} = require('../lib/quoteTotals');
+const {
+  baseCurrency, parseCurrency, currentRate, toQuoteCurrency,
+} = require('../lib/exchangeRates');
+const {
+  reservationDays, reservedByProduct, availableToQuote, reserveQuoteStock, releaseQuoteStock,
+} = require('../lib/stockReservations');
+const {
+  QUOTE_TRANSITIONS, canTransition, editBlockedReason, effectiveStatus, validDays, defaultValidUntil,
+} = require('../lib/quoteLifecycle');
+
+module.exports = function makeQuotesRouter(prisma, env = {}) {
+  const router = express.Router();
+
+  // ---- Config / Defaults
+  const APP_BASE_URL = env.APP_BASE_URL || process.env.APP_BASE_URL || 'http://localhost:3000';
+  // Tax for lines whose product has no EXO tax rate (and custom lines by default)
+  const DEFAULT_TAX_RATE = new Prisma.Decimal(Number(env.QUOTE_TAX_RATE ?? process.env.QUOTE_TAX_RATE ?? '0') || 0).mul(100); // QUOTE_TAX_RATE e.g. 0.1 for 10%
+  const DEFAULT_TAX_CODE = env.QUOTE_TAX_CODE || process.env.QUOTE_TAX_CODE || null;
+  // Whether EXO sell prices include tax, and how new quotes are priced
+  const CATALOGUE_BASIS = { pricesIncludeTax: (env.EXO_PRICES_INCLUDE_TAX ?? process.env.EXO_PRICES_INCLUDE_TAX) === 'true' };
+  const NEW_QUOTES_INCLUDE_TAX = (env.QUOTE_PRICES_INCLUDE_TAX ?? process.env.QUOTE_PRICES_INCLUDE_TAX) === 'true';
+  const BASE_CURRENCY = baseCurrency(env); // currency of EXO prices; others need an ExchangeRate
+  const MAIL_FROM = env.MAIL_FROM || process.env.MAIL_FROM || 'Quotes <no-reply@example.com>';
+  const DEFAULT_PRICE_LEVEL = Number(env.QUOTE_DEFAULT_PRICE_LEVEL ?? process.env.QUOTE_DEFAULT_PRICE_LEVEL ?? '1');
+  const PDF_BRAND = brandFromEnv(env); // QUOTE_BRAND_NAME, QUOTE_BRAND_DETAILS (| separated), QUOTE_LOGO_PATH
+  const VALID_DAYS = validDays(env); // QUOTE_VALID_DAYS, default validity of a new/sent quote
+  const NOTIFY_EMAIL = env.QUOTE_NOTIFY_EMAIL || process.env.QUOTE_NOTIFY_EMAIL || ''; // staff, comma separated
+  const DEFAULT_DEBTOR_ID = Number(env.EXO_DEFAULT_DEBTOR_ID ?? process.env.EXO_DEFAULT_DEBTOR_ID) || null;
+  const exo = env.exo; // EXO API client (lib/exoClient.js, built in index.js)
+  const RESERVATION_DAYS = reservationDays(env); // QUOTE_RESERVATION_DAYS, how long a sent quote holds stock
+  const RESERVE_ON_SEND = (env.QUOTE_RESERVE_STOCK ?? process.env.QUOTE_RESERVE_STOCK) === 'true'; // default for /send
+  const REMINDER_DAYS = reminderDays(env); // QUOTE_REMINDER_DAYS, e.g. "7,2" days before validUntil
+
+  // ---- Access
+  // Staff need READONLY to look and SALES to change anything. The share token is the customer's
+  // key to one quote: it can view it (sent revisions only), fetch the PDF and accept/decline.
+  const { auth } = env;
+  const staff = auth.requireRole('READONLY');
+  const sales = auth.requireRole('SALES');
+  const staffOrToken = (req, res, next) => (req.query.token ? next() : staff(req, res, next));
+
+  // Shared with index.js's outbox job when given; null without SMTP_HOST
+  const transporter = env.transporter !== undefined ? env.transporter : makeTransporter(env);
+
+  // ---- Helpers
+  const newToken = (bytes = 16) => crypto.randomBytes(bytes).toString('hex');
+
+  const clip = (v, max) => (v == null ? '' : String(v).trim().slice(0, max));
+
+  // Links to a specific revision so the customer keeps seeing what they were sent
+  const publicLink = (quote) => publicQuoteLink(APP_BASE_URL, quote);
+
+  // Quote with items; lines whose product is no longer ACTIVE in EXO, or that quote more than is
+  // available (stock less other quotes' reservations), are flagged in `warnings`.
+  // `units` (metric|imperial) controls each item's formatted `dimensions`; `imageUrl` is the
+  // product's first thumbnail (relative), or null. `reservedUntil` is set while the quote holds stock.
+  async function loadQuote(id, { units } = {}) {
+    const q = await prisma.quote.findUnique({
+      where: { id },
+      include: {
+        items: {
+          include: {
+            Product: {
+              select: {
+                status: true,
+                stockLevel: true,
+                images: { orderBy: { position: 'asc' }, take: 1, select: { id: true } },
+              },
+            },
+          },
+        },
+        responses: { orderBy: { createdAt: 'desc' }, take: 1 },
+        Customer: { select: { id: true, name: true, exoDebtorId: true, active: true } },
+        reservations: { where: { expiresAt: { gt: new Date() } }, select: { expiresAt: true } },
+      },
+    });
+    if (!q) return null;
+
+    const reserved = await reservedByProduct(prisma, q.items.map(it => it.productId), { excludeQuoteId: q.id });
+    const items = q.items.map(({ Product: product, ...it }) => {
+      const image = product?.images[0];
+      return {
+        ...it,
+        productStatus: product?.status ?? null,
+        stockLevel: product ? product.stockLevel : null,
+        availableToQuote: product ? availableToQuote(product.stockLevel, reserved.get(it.productId)) : null,
+        dimensions: presentDimensions(it, units),
+        imageUrl: image ? imageUrl(it.stockCode, image.id, 'thumb') : null,
+      };
+    });
+    const warnings = [];
+    for (const it of items) {
+      if (it.productStatus && it.productStatus !== 'ACTIVE') {
+        warnings.push({
+          code: 'PRODUCT_INACTIVE',
+          itemId: it.id,
+          stockCode: it.stockCode,
+          message: `${it.stockCode} is ${it.productStatus.toLowerCase()} in EXO`,
+        });
+      }
+      if (it.availableToQuote != null && it.qty > it.availableToQuote) {
+        const held = reserved.get(it.productId) || 0;
+        warnings.push({
+          code: 'STOCK_SHORT',
+          itemId: it.id,
+          stockCode: it.stockCode,
+          message: `${it.stockCode}: ${it.qty} quoted but only ${it.availableToQuote} available`
+            + ` (${it.stockLevel} in stock${held ? `, ${held} reserved on other quotes` : ''})`,
+        });
+      }
+      if (it.productId && it.priceLevel !== q.priceLevel) {
+        warnings.push({
+          code: 'PRICE_LEVEL_FALLBACK',
+          itemId: it.id,
+          stockCode: it.stockCode,
+          message: `${it.stockCode} has no price at level ${q.priceLevel}; using the base price`,
+        });
+      }
+    }
+    const { responses, reservations, ...quote } = q;
+    return {
+      ...quote,
+      reservedUntil: reservations[0]?.expiresAt ?? null,
+      items,
+      taxBreakdown: taxBreakdown(q, items),
+      warnings,
+      expired: effectiveStatus(q) === 'EXPIRED',
+      response: responses[0] ? presentResponse(responses[0]) : null,
+      frozen: false,
+    };
+  }
+
+  // Customer's latest answer, without the audit-only fields (ip, user agent)
+  function presentResponse(r) {
+    return {
+      decision: r.decision,
+      revision: r.revision,
+      signerName: r.signerName,
+      poNumber: r.poNumber,
+      reason: r.reason,
+      createdAt: r.createdAt,
+    };
+  }
+
+  // Email log entry without its body or attachment (GET /:id/emails/:emailId has the body)
+  function presentEmail(m) {
+    return {
+      id: m.id,
+      kind: m.kind,
+      revision: m.revision,
+      to: m.to,
+      subject: m.subject,
+      status: m.status,
+      attempts: m.attempts,
+      nextAttemptAt: m.status === 'QUEUED' ? m.nextAttemptAt : null,
+      lastError: m.lastError,
+      attachmentName: m.attachmentName,
+      sentAt: m.sentAt,
+      createdAt: m.createdAt,
+    };
+  }
+
+  // ---- Revisions
+  // The working revision is frozen once sent; the first edit after that opens the next
+  // revision as a new draft. Call before changing anything the customer sees.
+  async function beginEdit(quote) {
+    if (quote.sentRevision == null || quote.sentRevision < quote.revision) return quote;
+    return prisma.quote.update({
+      where: { id: quote.id },
+      data: { revision: quote.revision + 1, status: 'DRAFT' },
+    });
+  }
+
+  // A stored revision in the same shape as loadQuote() (read-only)
+  function revisionView(q, rev, { units } = {}) {
+    const snap = rev.snapshot;
+    return {
+      id: q.id,
+      shareToken: q.shareToken,
+      status: q.status,
+      createdAt: q.createdAt,
+      validUntil: q.validUntil,
+      expired: effectiveStatus(q) === 'EXPIRED',
+      response: q.response,
+      ...snap,
+      items: snap.items.map(it => ({ ...it, dimensions: presentDimensions(it, units) })),
+      taxBreakdown: taxBreakdown(snap, snap.items),
+      warnings: [],
+      revision: rev.number,
+      sentRevision: q.sentRevision,
+      sentAt: rev.sentAt,
+      frozen: true,
+    };
+  }
+
+  function parseRevision(v) {
+    if (v === undefined || v === '') return null;
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 1 ? n : NaN;
+  }
+
+  // What GET /:id and /:id/pdf show. ?rev=N picks a revision; a share token without rev gets
+  // the revision last sent (the working draft may have moved on since), and nothing before
+  // the quote has been sent.
+  // → { quote } or { status, error }
+  async function resolveQuoteView(id, { token, rev, units }) {
+    const q = await loadQuote(id, { units });
+    if (!q) return { status: 404, error: 'Not found' };
+    if (token && !sameSecret(token, q.shareToken)) return { status: 403, error: 'Invalid token' };
+
+    let number = parseRevision(rev);
+    if (Number.isNaN(number)) return { status: 400, error: 'rev must be a positive integer' };
+    if (number === null && token) {
+      if (q.sentRevision == null) return { status: 404, error: 'Not found' };
+      number = q.sentRevision;
+    }
+    if (number === null) return { quote: q };
+
+    const stored = await prisma.quoteRevision.findUnique({
+      where: { quoteId_number: { quoteId: id, number } },
+    });
+    if (stored) return { quote: token ? customerView(revisionView(q, stored, { units })) : revisionView(q, stored, { units }) };
+    if (number === q.revision && !token) return { quote: q }; // unsent draft: staff only
+    return { status: 404, error: 'Revision not found' };
+  }
+
+  // What a share-token holder gets to see: no internal EXO bookkeeping, customer record or stock figures
+  function customerView(q) {
+    const {
+      exoDebtorId, exoOrderId, exoOrderStatus, exoOrderError, exoOrderAttemptAt, exoOrderPushedAt, reservedUntil,
+      customerId, Customer: _customer, remindersEnabled, remindersSent, ...rest
+    } = q;
+    return {
+      ...rest,
+      items: rest.items.map(({ stockLevel, availableToQuote: _available, ...it }) => it),
+      warnings: rest.warnings.filter(w => w.code !== 'STOCK_SHORT'),
+    };
+  }
+
+  function parseDate(v) {
+    if (v == null || v === '') return null;
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+
+  function parsePriceLevel(v) {
+    const n = Number(v);
+    return Number.isInteger(n) && n >= 1 ? n : null;
+  }
+
+  // Webhook outbox entry (quote.created, quote.sent…). Always written with the transaction that
+  // makes the change, so there's never a change without its event or an event without its change.
+  function emit(tx, type, quote) {
+    return recordEvent(tx, type, quoteEventData(quote));
+  }
+
+  // EXO debtor (account) ids are positive integers too
+  const parseDebtorId = parsePriceLevel;
+
+  // customerId from a request → { value } (the Customer, or null to unlink) or { error }.
+  // The customer comes with its best contact email for filling in customerEmail.
+  async function resolveCustomer(v) {
+    if (v === null) return { value: null };
+    const id = parsePriceLevel(v);
+    const customer = id && await prisma.customer.findUnique({
+      where: { id },
+      include: { contacts: { where: { email: { not: null } }, orderBy: { isPrimary: 'desc' }, take: 1 } },
+    });
+    if (!customer) return { error: 'customerId must be an existing customer' };
+    return { value: customer };
+  }
+
+  const customerEmailOf = (c) => c?.email || c?.contacts[0]?.email || null;
+
+  // Unit price for a product at the given EXO price level → { price, priceLevel }.
+  // Falls back to the product's base price (priceLevel null) when it has nothing at that level;
+  // returns null if the product has no sell price at all.
+  async function priceForLevel(product, level) {
+    const row = await prisma.productPrice.findUnique({
+      where: { productId_level: { productId: product.id, level } },
+    });
+    if (row) return { price: new Prisma.Decimal(row.price), priceLevel: level };
+
+    const base = new Prisma.Decimal(product.price || 0);
+    if (product.hasSellPrice && base.gt(0)) return { price: base, priceLevel: null };
+    return null;
+  }
+
+  // New QuoteItem for a product, priced (see priceForLevel) in the quote's currency and tax basis
+  function catalogueLine(quote, p, priced, qty) {
+    const tax = productTax(p);
+    const unitPrice = quotePrice(priced.price, tax.taxRate, quote);
+    return {
+      quoteId: quote.id,
+      productId: p.id,
+      stockCode: p.stockCode,
+      name: p.name || 'Untitled',
+      description: p.description || null,
+      sku: p.sku || null,
+      origin: p.origin || null,
+      length: p.length || null,
+      width: p.width || null,
+      size: p.size || null,
+      lengthCm: p.lengthCm ?? null,
+      widthCm: p.widthCm ?? null,
+      areaM2: p.areaM2 ?? null,
+      price: unitPrice,
+      listPrice: unitPrice,
+      priceLevel: priced.priceLevel,
+      taxCode: tax.taxCode,
+      taxRate: tax.taxRate,
+      qty,
+      subtotal: unitPrice.mul(qty),
+    };
+  }
+
+  // Tax code/rate a catalogue line is quoted with
+  function productTax(product) {
+    return {
+      taxCode: product.taxCode ?? DEFAULT_TAX_CODE,
+      taxRate: product.taxRate ?? DEFAULT_TAX_RATE,
+    };
+  }
+
+  // Catalogue price → the quote's currency (at its snapshotted rate) and tax basis
+  function quotePrice(price, taxRate, quote) {
+    return convertPrice(toQuoteCurrency(price, quote.exchangeRate), taxRate, CATALOGUE_BASIS, quote);
+  }
+
+  // Amount in one currency → another, given each one's rate against the base currency
+  function reconvert(v, fromRate, toRate) {
+    return v == null ? v : new Prisma.Decimal(v).mul(toRate).div(fromRate).toDecimalPlaces(2);
+  }
+
+  // Currency changed: restate line prices at the new rate. Totals are left to recalcQuote().
+  async function restateLineCurrency(quoteId, fromRate, toRate) {
+    const convert = (v) => reconvert(v, fromRate, toRate);
+    const items = await prisma.quoteItem.findMany({ where: { quoteId } });
+    for (const it of items) {
+      const price = convert(it.price);
+      await prisma.quoteItem.update({
+        where: { id: it.id },
+        data: { price, listPrice: convert(it.listPrice), subtotal: lineSubtotal({ ...it, price }) },
+      });
+    }
+  }
+
+  // Totals plus each line's tax, at the configured default rate for lines without one
+  function totalsFor(quote, items) {
+    return quoteTotals(quote, items, { defaultTaxRate: DEFAULT_TAX_RATE });
+  }
+
+  // Tax basis changed (inclusive ↔ exclusive, exempt on/off): restate every line's prices in
+  // the new basis, each at its own rate. Totals are left to recalcQuote().
+  async function rebaseLinePrices(quoteId, from, to) {
+    const items = await prisma.quoteItem.findMany({ where: { quoteId } });
+    for (const it of items) {
+      const rate = it.taxRate ?? DEFAULT_TAX_RATE;
+      const price = convertPrice(it.price, rate, from, to);
+      const listPrice = it.listPrice == null ? null : convertPrice(it.listPrice, rate, from, to);
+      await prisma.quoteItem.update({
+        where: { id: it.id },
+        data: { price, listPrice, subtotal: lineSubtotal({ ...it, price }) },
+      });
+    }
+  }
+
+  // { pricesIncludeTax?, taxExempt?, taxExemptReason? } from a request → { data } or { error }
+  function parseTaxSettings(body) {
+    const data = {};
+    for (const k of ['pricesIncludeTax', 'taxExempt']) {
+      if (body[k] === undefined) continue;
+      if (typeof body[k] !== 'boolean') return { error: `${k} must be true or false` };
+      data[k] = body[k];
+    }
+    if (body.taxExemptReason !== undefined) data.taxExemptReason = clip(body.taxExemptReason, 200) || null;
+    if (data.taxExempt === false) data.taxExemptReason = null;
+    return { data };
+  }
+
+  // Tax per code/rate for display: [{ taxCode, taxRate, net, tax }] as strings. Revisions sent
+  // before per-line tax only have the quote's tax, which comes back as a single row.
+  function taxBreakdown(quote, items) {
+    if (items.every(it => it.taxAmount !== undefined)) {
+      return totalsFor(quote, items).breakdown.map(b => ({
+        taxCode: b.taxCode,
+        taxRate: b.taxRate.toFixed(2),
+        net: b.net.toFixed(2),
+        tax: b.tax.toFixed(2),
+      }));
+    }
+    if (!Number(quote.tax)) return [];
+    const net = new Prisma.Decimal(quote.subtotal).sub(quote.discount || 0);
+    return [{ taxCode: null, taxRate: null, net: net.toFixed(2), tax: new Prisma.Decimal(quote.tax).toFixed(2) }];
+  }
+
+  // Recomputes line subtotals, line tax and quote totals. With `reprice`, catalogue lines are first
+  // re-priced at the quote's current price level (lines without a sell price keep theirs).
+  async function recalcQuote(quoteId, { reprice = false } = {}) {
+    const q = await prisma.quote.findUnique({
+      where: { id: quoteId },
+      include: { items: { include: { Product: true } } },
+    });
+    if (!q) throw new Error('Quote not found');
+
+    if (reprice) {
+      // listPrice always follows the catalogue; hand-set prices stay as they are
+      let editing = false;
+      for (const it of q.items) {
+        if (!it.Product) continue;
+        const priced = await priceForLevel(it.Product, q.priceLevel);
+        if (!priced) continue;
+        const tax = productTax(it.Product);
+        const list = quotePrice(priced.price, tax.taxRate, q);
+        const data = { listPrice: list, priceLevel: priced.priceLevel, ...tax };
+        if (!it.priceOverride) data.price = list;
+        const changed = !list.equals(it.listPrice ?? -1) || priced.priceLevel !== it.priceLevel
+          || (!it.priceOverride && !list.equals(it.price))
+          || tax.taxCode !== it.taxCode || !new Prisma.Decimal(tax.taxRate).equals(it.taxRate ?? -1);
+        if (changed) {
+          if (!editing) { await beginEdit(q); editing = true; }
+          await prisma.quoteItem.update({ where: { id: it.id }, data });
+          Object.assign(it, data);
+        }
+      }
+    }
+
+    const stored = q.items.map(it => ({ subtotal: it.subtotal, taxAmount: it.taxAmount }));
+    for (const it of q.items) it.subtotal = lineSubtotal(it);
+    const { subtotal, discount, tax, total, lineTax } = totalsFor(q, q.items);
+    for (const [i, it] of q.items.entries()) {
+      if (!stored[i].subtotal.equals(it.subtotal) || !stored[i].taxAmount.equals(lineTax[i])) {
+        await prisma.quoteItem.update({ where: { id: it.id }, data: { subtotal: it.subtotal, taxAmount: lineTax[i] } });
+      }
+    }
+
+    return prisma.quote.update({
+      where: { id: quoteId },
+      data: { subtotal, discount, tax, total },
+    });
+  }
+
+  // ---- Routes
+
+  // Create a draft quote. currency defaults to BASE_CURRENCY; any other needs an exchange rate,
+  // which is copied onto the quote. pricesIncludeTax defaults to QUOTE_PRICES_INCLUDE_TAX; taxExempt
+  // (with taxExemptReason) is for customers who don't pay tax. customerId links a customer record:
+  // its name, email and price level are used unless given.
+  router.post('/', sales, async (req, res) => {
+    try {
+      const { customerName, customerEmail, notes, priceLevel, validUntil } = req.body || {};
+      const linked = req.body?.customerId == null ? { value: null } : await resolveCustomer(req.body.customerId);
+      if (linked.error) return res.status(400).json({ error: linked.error });
+      const customer = linked.value;
+      if (customer && !customer.active) return res.status(400).json({ error: 'Customer is inactive' });
+      const level = priceLevel === undefined ? customer?.priceLevel ?? DEFAULT_PRICE_LEVEL : parsePriceLevel(priceLevel);
+      if (!level) return res.status(400).json({ error: 'priceLevel must be a positive integer' });
+      const until = validUntil === undefined ? defaultValidUntil(VALID_DAYS) : parseDate(validUntil);
+      if (!until) return res.status(400).json({ error: 'validUntil must be a date' });
+      const taxSettings = parseTaxSettings(req.body || {});
+      if (taxSettings.error) return res.status(400).json({ error: taxSettings.error });
+      const currency = req.body?.currency === undefined ? BASE_CURRENCY : parseCurrency(req.body.currency);
+      if (!currency) return res.status(400).json({ error: 'currency must be a 3-letter ISO code' });
+      const fx = await currentRate(prisma, currency, BASE_CURRENCY);
+      if (!fx) return res.status(400).json({ error: `No exchange rate for ${currency}; an admin can add one under /exchange-rates` });
+
+      const q = await prisma.$transaction(async (tx) => {
+        const created = await tx.quote.create({
+          data: {
+            shareToken: newToken(),
+            customerId: customer?.id ?? null,
+            customerName: customerName || customer?.name || null,
+            customerEmail: customerEmail || customerEmailOf(customer),
+            notes: notes || null,
+            currency,
+            exchangeRate: fx.rate,
+            exchangeRateAt: fx.at,
+            priceLevel: level,
+            validUntil: until,
+            pricesIncludeTax: NEW_QUOTES_INCLUDE_TAX,
+            ...taxSettings.data,
+          },
+        });
+        await emit(tx, 'quote.created', created);
+        return created;
+      });
+      res.json(q);
+    } catch (e) {
+      console.error('POST /quotes', e);
+      res.status(500).json({ error: 'Failed to create quote' });
+    }
+  });
+
+  // Get a quote (supports ?token= for public access, ?rev= for a sent revision, ?units=metric|imperial)
+  router.get('/:id', staffOrToken, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const token = (req.query.token || '').toString();
+
+      const { quote, status, error } = await resolveQuoteView(id, { token, rev: req.query.rev, units: req.query.units });
+      if (error) return res.status(status).json({ error });
+      res.json(quote);
+    } catch (e) {
+      console.error('GET /quotes/:id', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Custom (non-catalogue) line from the request body → { data } or { error }
+  function parseCustomLine(body) {
+    const name = clip(body.name, 200);
+    if (!name) return { error: 'stockCode or name required' };
+    if (body.price === undefined) return { error: 'price required for a custom line' };
+    const price = parseMoney(body.price, 'price');
+    if (price.error || price.value === null) return { error: price.error || 'price required for a custom line' };
+    const discount = parseDiscountPct(body.discountPct);
+    if (discount.error) return { error: discount.error };
+    const rate = parseTaxRate(body.taxRate);
+    if (rate.error) return { error: rate.error };
+    const qty = parseQty(body.qty == null || body.qty === '' ? 1 : body.qty);
+    if (qty.error) return { error: qty.error };
+    return {
+      data: {
+        name,
+        description: clip(body.description, 2000) || null,
+        price: price.value,
+        discountPct: discount.value,
+        qty: qty.value,
+        taxCode: clip(body.taxCode, 20) || (rate.value === null ? DEFAULT_TAX_CODE : null),
+        taxRate: rate.value ?? DEFAULT_TAX_RATE,
+      },
+    };
+  }
+
+  // Add an item: { stockCode, qty? } adds or increments a catalogue line (inactive products are
+  // allowed but come back in `warnings`); { name, price, qty?, description?, discountPct?,
+  // taxRate?, taxCode? } adds a custom line such as freight or installation. Prices are in the
+  // quote's tax basis; catalogue prices are converted to it.
+  router.post('/:id/items', sales, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const { stockCode, qty } = req.body || {};
+
+      const quote = await prisma.quote.findUnique({ where: { id } });
+      if (!quote) return res.status(404).json({ error: 'Quote not found' });
+
+      if (!stockCode) {
+        const { data, error } = parseCustomLine(req.body || {});
+        if (error) return res.status(400).json({ error });
+        const blocked = editBlockedReason(quote);
+        if (blocked) return res.status(409).json({ error: blocked });
+
+        await beginEdit(quote);
+        await prisma.quoteItem.create({ data: { ...data, quoteId: id, subtotal: lineSubtotal(data) } });
+        await recalcQuote(id);
+        return res.json(await loadQuote(id));
+      }
+
+      const quantity = parseQty(qty == null || qty === '' ? 1 : qty);
+      if (quantity.error) return res.status(400).json({ error: quantity.error });
+
+      const p = await prisma.product.findUnique({ where: { stockCode } });
+      if (!p) return res.status(404).json({ error: 'Product not found' });
+
+      const existing = await prisma.quoteItem.findFirst({ where: { quoteId: id, stockCode } });
+      const priced = existing ? null : await priceForLevel(p, quote.priceLevel);
+      if (!existing && !priced) return res.status(400).json({ error: `No sell price in EXO for ${p.stockCode}` });
+
+      const blocked = editBlockedReason(quote);
+      if (blocked) return res.status(409).json({ error: blocked });
+
+      await beginEdit(quote);
+      if (existing) {
+        // Keep the price the line was quoted at
+        const newQty = existing.qty + quantity.value;
+        await prisma.quoteItem.update({
+          where: { id: existing.id },
+          data: { qty: newQty, subtotal: lineSubtotal({ ...existing, qty: newQty }) },
+        });
+      } else {
+        await prisma.quoteItem.create({ data: catalogueLine(quote, p, priced, quantity.value) });
+      }
+
+      await recalcQuote(id);
+      const withItems = await loadQuote(id);
+      res.json(withItems);
+    } catch (e) {
+      console.error('POST /quotes/:id/items', e);
+      res.status(500).json({ error: 'Failed to add item' });
+    }
+  });
+
+  // Add catalogue lines from a CSV of stock codes and quantities, sent as text/csv or { csv }
+  // (see lib/csv parseLineImport for the layout). Rows for a product already on the quote add
+  // to its line, as POST /items does. Every row is checked before anything is written: unless
+  // all pass, nothing changes and the report comes back with 422.
+  //   ?allowShortStock=true  add rows that quote more than is available (reported with `short`)
+  //   ?skipInvalid=true      add the rows that pass, report the rest
+  //   ?dryRun=true           check only
+  // → { added, failed, results: [{ row, stockCode, qty, status, message?, available? }], quote }
+  // status: added | ok (passed, not added) | unknown | insufficient_stock | invalid
+  router.post('/:id/items/import', sales, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+      if (typeof csv !== 'string' || !csv.trim()) {
+        return res.status(400).json({ error: 'Send the CSV as a text/csv body or as { csv }' });
+      }
+      const option = (k) => ['1', 'true', 'yes'].includes(String(req.query[k] ?? '').toLowerCase());
+      const allowShort = option('allowShortStock');
+      const skipInvalid = option('skipInvalid');
+      const dryRun = option('dryRun');
+
+      const parsed = parseLineImport(csv);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const quote = await prisma.quote.findUnique({ where: { id } });
+      if (!quote) return res.status(404).json({ error: 'Quote not found' });
+      const blocked = editBlockedReason(quote);
+      if (blocked) return res.status(409).json({ error: blocked });
+
+      const codes = [...new Set(parsed.rows.filter(r => !r.error).map(r => r.stockCode))];
+      const products = await prisma.product.findMany({ where: { stockCode: { in: codes, mode: 'insensitive' } } });
+      const byCode = new Map(products.map(p => [p.stockCode.toLowerCase(), p]));
+      const lines = await prisma.quoteItem.findMany({
+        where: { quoteId: id, productId: { in: products.map(p => p.id) } },
+        select: { productId: true, qty: true },
+      });
+      const reserved = await reservedByProduct(prisma, products.map(p => p.id), { excludeQuoteId: id });
+
+      // What each product would total on the quote, and its price if it needs a new line
+      const onQuote = new Map();
+      for (const it of lines) onQuote.set(it.productId, (onQuote.get(it.productId) || 0) + it.qty);
+      const prices = new Map();
+
+      const results = [];
+      const accepted = [];
+      for (const r of parsed.rows) {
+        const result = { row: r.row, stockCode: r.stockCode, qty: r.qty };
+        results.push(result);
+        if (r.error) { Object.assign(result, { status: 'invalid', message: r.error }); continue; }
+        const p = byCode.get(r.stockCode.toLowerCase());
+        if (!p) { Object.assign(result, { status: 'unknown', message: `No product with stock code ${r.stockCode}` }); continue; }
+        result.stockCode = p.stockCode;
+
+        if (!onQuote.has(p.id) && !prices.has(p.id)) prices.set(p.id, await priceForLevel(p, quote.priceLevel));
+        if (prices.has(p.id) && !prices.get(p.id)) {
+          Object.assign(result, { status: 'invalid', message: `No sell price in EXO for ${p.stockCode}` });
+          continue;
+        }
+
+        const total = (onQuote.get(p.id) || 0) + r.qty;
+        const available = availableToQuote(p.stockLevel, reserved.get(p.id));
+        if (total > available && !allowShort) {
+          Object.assign(result, {
+            status: 'insufficient_stock',
+            available,
+            message: `${total} would be on the quote but only ${available} available`,
+          });
+          continue;
+        }
+        onQuote.set(p.id, total);
+        Object.assign(result, { status: 'ok' }, total > available ? { short: true, available } : {});
+        accepted.push({ result, product: p, qty: r.qty });
+      }
+
+      const failed = results.length - accepted.length;
+      if (dryRun) return res.json({ added: 0, failed, results });
+      if (!accepted.length || (failed && !skipInvalid)) {
+        return res.status(422).json({
+          error: accepted.length
+            ? `${failed} of ${results.length} rows could not be imported; nothing was added`
+            : 'No rows could be imported',
+          added: 0,
+          failed,
+          results,
+        });
+      }
+
+      await beginEdit(quote);
+      await prisma.$transaction(async (tx) => {
+        for (const { product: p, qty } of accepted) {
+          const line = await tx.quoteItem.findFirst({ where: { quoteId: id, stockCode: p.stockCode } });
+          if (line) {
+            // Keep the price the line was quoted at
+            await tx.quoteItem.update({
+              where: { id: line.id },
+              data: { qty: line.qty + qty, subtotal: lineSubtotal({ ...line, qty: line.qty + qty }) },
+            });
+          } else {
+            await tx.quoteItem.create({ data: catalogueLine(quote, p, prices.get(p.id), qty) });
+          }
+        }
+      });
+      for (const { result } of accepted) result.status = 'added';
+
+      await recalcQuote(id);
+      res.json({ added: accepted.length, failed, results, quote: await loadQuote(id) });
+    } catch (e) {
+      console.error('POST /quotes/:id/items/import', e);
+      res.status(500).json({ error: 'Failed to import items' });
+    }
+  });
+
+  // Update an item: { qty?, price?, discountPct? }. qty is a whole number and exactly 0 deletes
+  // the line. price overrides the unit price; price: null goes back to the catalogue price.
+  // Custom lines also take { name?, description?, taxRate?, taxCode? }; catalogue lines keep the
+  // tax EXO has for the product.
+  router.patch('/:id/items/:itemId', sales, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const itemId = Number(req.params.itemId);
+      const body = req.body || {};
+      let qty;
+      if (body.qty !== undefined) {
+        const parsed = parseQty(body.qty, { min: 0 });
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+        qty = parsed.value;
+      }
+
+      const item = await prisma.quoteItem.findUnique({ where: { id: itemId }, include: { Quote: true } });
+      if (!item || item.quoteId !== id) return res.status(404).json({ error: 'Item not found' });
+      const custom = !item.stockCode;
+
+      const data = {};
+      if (qty > 0) data.qty = qty;
+      if (body.price !== undefined) {
+        const price = parseMoney(body.price, 'price');
+        if (price.error) return res.status(400).json({ error: price.error });
+        if (price.value !== null) {
+          Object.assign(data, { price: price.value, priceOverride: !custom });
+        } else if (custom) {
+          return res.status(400).json({ error: 'A custom line needs a price' });
+        } else {
+          Object.assign(data, { price: item.listPrice ?? item.price, priceOverride: false });
+        }
+      }
+      if (body.discountPct !== undefined) {
+        const discount = parseDiscountPct(body.discountPct);
+        if (discount.error) return res.status(400).json({ error: discount.error });
+        data.discountPct = discount.value;
+      }
+      if (body.taxRate !== undefined || body.taxCode !== undefined) {
+        if (!custom) return res.status(400).json({ error: 'Tax on catalogue lines comes from EXO' });
+        if (body.taxRate !== undefined) {
+          const rate = parseTaxRate(body.taxRate);
+          if (rate.error) return res.status(400).json({ error: rate.error });
+          data.taxRate = rate.value ?? DEFAULT_TAX_RATE;
+        }
+        if (body.taxCode !== undefined) data.taxCode = clip(body.taxCode, 20) || null;
+      }
+      if (body.name !== undefined || body.description !== undefined) {
+        if (!custom) return res.status(400).json({ error: 'Only custom lines can be renamed' });
+        if (body.name !== undefined) {
+          data.name = clip(body.name, 200);
+          if (!data.name) return res.status(400).json({ error: 'name cannot be blank' });
+        }
+        if (body.description !== undefined) data.description = clip(body.description, 2000) || null;
+      }
+
+      const blocked = editBlockedReason(item.Quote);
+      if (blocked) return res.status(409).json({ error: blocked });
+
+      await beginEdit(item.Quote);
+      if (qty === 0) {
+        await prisma.quoteItem.delete({ where: { id: itemId } });
+      } else {
+        data.subtotal = lineSubtotal({ ...item, ...data });
+        await prisma.quoteItem.update({ where: { id: itemId }, data });
+      }
+
+      await recalcQuote(id);
+      const withItems = await loadQuote(id);
+      res.json(withItems);
+    } catch (e) {
+      console.error('PATCH /quotes/:id/items/:itemId', e);
+      res.status(500).json({ error: 'Failed to update item' });
+    }
+  });
+
+  // Remove item
+  router.delete('/:id/items/:itemId', sales, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const itemId = Number(req.params.itemId);
+      const item = await prisma.quoteItem.findUnique({ where: { id: itemId }, include: { Quote: true } });
+      if (!item || item.quoteId !== id) return res.status(404).json({ error: 'Item not found' });
+      const blocked = editBlockedReason(item.Quote);
+      if (blocked) return res.status(409).json({ error: blocked });
+
+      await beginEdit(item.Quote);
+      await prisma.quoteItem.delete({ where: { id: itemId } });
+      await recalcQuote(id);
+      const withItems = await loadQuote(id);
+      res.json(withItems);
+    } catch (e) {
+      console.error('DELETE /quotes/:id/items/:itemId', e);
+      res.status(500).json({ error: 'Failed to remove item' });
+    }
+  });
+
+  // Update quote header/status/validUntil, or the whole-quote discount (discountPct or
+  // discountAmount; null clears it). Changing priceLevel re-prices every catalogue line at the new level.
+  // Header changes to a sent quote open a new draft revision; status-only changes don't.
+  // Status moves follow lib/quoteLifecycle (SENT only via /send). Reopening (→ DRAFT) without a
+  // future validUntil restarts the default validity. exoDebtorId (the EXO account the sales
+  // order goes to) is bookkeeping and never opens a revision. Switching pricesIncludeTax or
+  // taxExempt restates every line price in the new basis; changing currency restates them at
+  // the current exchange rate for the new currency. customerId links a customer record (null
+  // unlinks); linking a different one fills customerName/customerEmail from it unless given.
+  // remindersEnabled turns the follow-up emails (QUOTE_REMINDER_DAYS) off or on for this quote.
+  router.patch('/:id', sales, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const {
+        customerName, customerEmail, notes, status, priceLevel, validUntil, exoDebtorId, discountPct, discountAmount,
+      } = req.body || {};
+      const level = priceLevel === undefined ? undefined : parsePriceLevel(priceLevel);
+      if (level === null) return res.status(400).json({ error: 'priceLevel must be a positive integer' });
+      const debtor = exoDebtorId == null ? exoDebtorId : parseDebtorId(exoDebtorId); // null clears it
+      if (debtor === null && exoDebtorId !== null) return res.status(400).json({ error: 'exoDebtorId must be a positive integer' });
+      // Whole-quote discount: setting one kind clears the other
+      const pct = discountPct === undefined ? {} : parseDiscountPct(discountPct);
+      const amount = discountAmount === undefined ? {} : parseMoney(discountAmount, 'discountAmount');
+      if (pct.error || amount.error) return res.status(400).json({ error: pct.error || amount.error });
+      if (pct.value && amount.value) return res.status(400).json({ error: 'Give either discountPct or discountAmount, not both' });
+      const discount = {};
+      if ('value' in pct) Object.assign(discount, { discountPct: pct.value }, pct.value ? { discountAmount: null } : {});
+      if ('value' in amount) Object.assign(discount, { discountAmount: amount.value }, amount.value ? { discountPct: null } : {});
+      let until = validUntil === undefined ? undefined : parseDate(validUntil);
+      if (until === null) return res.status(400).json({ error: 'validUntil must be a date' });
+      if (status !== undefined && !QUOTE_TRANSITIONS[status]) {
+        return res.status(400).json({ error: `status must be one of ${Object.keys(QUOTE_TRANSITIONS).join(', ')}` });
+      }
+      if (status === 'SENT') return res.status(400).json({ error: 'Use POST /quotes/:id/send to send a quote' });
+      const taxSettings = parseTaxSettings(req.body || {});
+      if (taxSettings.error) return res.status(400).json({ error: taxSettings.error });
+      const currency = req.body?.currency === undefined ? undefined : parseCurrency(req.body.currency);
+      if (currency === null) return res.status(400).json({ error: 'currency must be a 3-letter ISO code' });
+      const { remindersEnabled } = req.body || {};
+      if (remindersEnabled !== undefined && typeof remindersEnabled !== 'boolean') {
+        return res.status(400).json({ error: 'remindersEnabled must be true or false' });
+      }
+
+      const before = await prisma.quote.findUnique({ where: { id } });
+      if (!before) return res.status(404).json({ error: 'Not found' });
+
+      const linked = req.body?.customerId === undefined ? {} : await resolveCustomer(req.body.customerId);
+      if (linked.error) return res.status(400).json({ error: linked.error });
+      const relinked = linked.value && linked.value.id !== before.customerId;
+      if (relinked && !linked.value.active) return res.status(400).json({ error: 'Customer is inactive' });
+      const name = relinked ? customerName ?? linked.value.name : customerName;
+      const email = relinked ? customerEmail ?? customerEmailOf(linked.value) ?? undefined : customerEmail;
+
+      const current = effectiveStatus(before);
+      if (status !== undefined && !canTransition(current, status)) {
+        return res.status(409).json({ error: `Cannot change quote status from ${current} to ${status}` });
+      }
+      const currencyChanged = currency !== undefined && currency !== before.currency;
+      const fx = currencyChanged ? await currentRate(prisma, currency, BASE_CURRENCY) : null;
+      if (currencyChanged && !fx) {
+        return res.status(400).json({ error: `No exchange rate for ${currency}; an admin can add one under /exchange-rates` });
+      }
+      // A fixed quote discount moves with the currency unless a new one was given
+      if (currencyChanged && !('discountAmount' in discount) && before.discountAmount) {
+        discount.discountAmount = reconvert(before.discountAmount, before.exchangeRate, fx.rate);
+      }
+
+      const differs = (v, old) => v !== undefined && v !== null && (v || null) !== (old || null);
+      const headerChanged = differs(name, before.customerName)
+        || differs(email, before.customerEmail)
+        || differs(notes, before.notes)
+        || (level !== undefined && level !== before.priceLevel);
+      const discountChanged = Object.entries(discount).some(([k, v]) => String(v ?? '') !== String(before[k] ?? ''));
+      const taxChanged = Object.entries(taxSettings.data).some(([k, v]) => (v ?? null) !== (before[k] ?? null));
+      const basisChanged = ['pricesIncludeTax', 'taxExempt']
+        .some(k => taxSettings.data[k] !== undefined && taxSettings.data[k] !== before[k]);
+      if (headerChanged || discountChanged || taxChanged || currencyChanged || until) {
+        const blocked = editBlockedReason({ ...before, status: status ?? current, validUntil: until ?? before.validUntil });
+        if (blocked) return res.status(409).json({ error: blocked });
+      }
+      const reopening = status === 'DRAFT' && current !== 'DRAFT';
+      if (reopening && !(until || before.validUntil > new Date())) until = defaultValidUntil(VALID_DAYS);
+
+      if (headerChanged || discountChanged || taxChanged || currencyChanged) await beginEdit(before);
+
+      // Accepting or expiring locks the quote, so nothing below changes it further
+      const statusEvent = ['ACCEPTED', 'EXPIRED'].includes(status) && status !== before.status;
+      let q = await prisma.$transaction(async (tx) => {
+        const updated = await tx.quote.update({
+          where: { id },
+          data: {
+            customerId: 'value' in linked ? linked.value?.id ?? null : undefined,
+            customerName: name ?? undefined,
+            customerEmail: email ?? undefined,
+            notes: notes ?? undefined,
+            status: status ?? undefined,
+            priceLevel: level,
+            validUntil: until,
+            // Reminders count down to the new date; points already behind it are skipped
+            remindersSent: until ? remindersPassed(until, REMINDER_DAYS) : undefined,
+            remindersEnabled,
+            exoDebtorId: debtor,
+            ...discount,
+            ...taxSettings.data,
+            ...(currencyChanged ? { currency, exchangeRate: fx.rate, exchangeRateAt: fx.at } : {}),
+          },
+        });
+        if (statusEvent) await emit(tx, `quote.${status.toLowerCase()}`, updated);
+        return updated;
+      });
+      if (currencyChanged) await restateLineCurrency(id, before.exchangeRate, fx.rate);
+      if (basisChanged) await rebaseLinePrices(id, before, q);
+      if (status === 'REJECTED' || status === 'EXPIRED') await releaseQuoteStock(prisma, id);
+      if (level !== undefined && level !== before.priceLevel) {
+        q = await recalcQuote(id, { reprice: true });
+      } else if (discountChanged || taxChanged || currencyChanged) {
+        q = await recalcQuote(id);
+      }
+      res.json(q);
+    } catch (e) {
+      console.error('PATCH /quotes/:id', e);
+      res.status(500).json({ error: 'Failed to update quote' });
+    }
+  });
+
+  // Re-price all catalogue lines from current EXO prices at the quote's level
+  router.post('/:id/reprice', sales, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const exists = await prisma.quote.findUnique({ where: { id } });
+      if (!exists) return res.status(404).json({ error: 'Not found' });
+      const blocked = editBlockedReason(exists);
+      if (blocked) return res.status(409).json({ error: blocked });
+
+      await recalcQuote(id, { reprice: true });
+      res.json(await loadQuote(id));
+    } catch (e) {
+      console.error('POST /quotes/:id/reprice', e);
+      res.status(500).json({ error: 'Failed to re-price quote' });
+    }
+  });
+
+  // Sent revisions, newest first, plus where the working draft is
+  router.get('/:id/revisions', staff, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const q = await prisma.quote.findUnique({
+        where: { id },
+        include: { revisions: { orderBy: { number: 'desc' } } },
+      });
+      if (!q) return res.status(404).json({ error: 'Not found' });
+
+      res.json({
+        id: q.id,
+        revision: q.revision,
+        sentRevision: q.sentRevision,
+        revisions: q.revisions.map(r => ({
+          number: r.number,
+          sentAt: r.sentAt,
+          sentTo: r.sentTo,
+          total: r.snapshot.total,
+          itemCount: r.snapshot.items.length,
+        })),
+      });
+    } catch (e) {
+      console.error('GET /quotes/:id/revisions', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // Differences between two revisions: ?from=<n>&to=<n|current>.
+  // from defaults to the last sent revision, to to the working draft.
+  router.get('/:id/revisions/diff', staff, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const q = await loadQuote(id);
+      if (!q) return res.status(404).json({ error: 'Not found' });
+
+      const side = async (v, fallback) => {
+        if (v === undefined || v === '') v = fallback;
+        if (v === 'current') return { number: q.revision, snapshot: snapshotQuote(q) };
+        const number = parseRevision(v);
+        if (!number) return { error: 'from/to must be a revision number or "current"' };
+        const rev = await prisma.quoteRevision.findUnique({ where: { quoteId_number: { quoteId: id, number } } });
+        if (rev) return { number, snapshot: rev.snapshot };
+        if (number === q.revision) return { number, snapshot: snapshotQuote(q) };
+        return { missing: true };
+      };
+
+      if (req.query.from === undefined && q.sentRevision == null) {
+        return res.status(400).json({ error: 'Quote has not been sent; pass from=' });
+      }
+      const from = await side(req.query.from, q.sentRevision);
+      const to = await side(req.query.to, 'current');
+      const bad = [from, to].find(s => s.error);
+      if (bad) return res.status(400).json({ error: bad.error });
+      if (from.missing || to.missing) return res.status(404).json({ error: 'Revision not found' });
+
+      res.json({ from: from.number, to: to.number, ...diffSnapshots(from.snapshot, to.snapshot) });
+    } catch (e) {
+      console.error('GET /quotes/:id/revisions/diff', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  // One sent revision, shaped like GET /:id
+  router.get('/:id/revisions/:number', staff, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const number = parseRevision(req.params.number);
+      if (!number) return res.status(400).json({ error: 'Revision must be a positive integer' });
+
+      const q = await prisma.quote.findUnique({ where: { id } });
+      const rev = q && await prisma.quoteRevision.findUnique({ where: { quoteId_number: { quoteId: id, number } } });
+      if (!rev) return res.status(404).json({ error: 'Revision not found' });
+      res.json(revisionView(q, rev, { units: req.query.units }));
+    } catch (e) {
+      console.error('GET /quotes/:id/revisions/:number', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  function quotePdf(q) {
+    return renderQuotePdf(q, { brand: PDF_BRAND, link: publicLink(q) });
+  }
+
+  // Quote as a PDF (same ?token= / ?units= handling as GET /:id); ?download=1 to save instead of view
+  router.get('/:id/pdf', staffOrToken, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const token = (req.query.token || '').toString();
+
+      const { quote: q, status, error } = await resolveQuoteView(id, { token, rev: req.query.rev, units: req.query.units });
+      if (error) return res.status(status).json({ error });
+
+      const pdf = await quotePdf(q);
+      const disposition = req.query.download ? 'attachment' : 'inline';
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `${disposition}; filename="quote-${q.id}-r${q.revision}.pdf"`);
+      res.send(pdf);
+    } catch (e) {
+      console.error('GET /quotes/:id/pdf', e);
+      res.status(500).json({ error: 'Failed to render quote PDF' });
+    }
+  });
+
+  // Email the quote (sends a link; attachPdf: true also attaches the PDF). reserveStock
+  // (default QUOTE_RESERVE_STOCK) holds the catalogue lines for QUOTE_RESERVATION_DAYS.
+  // The email goes through the outbox: `email.status` is SENT, or QUEUED when the first attempt
+  // failed and it will be retried (see GET /:id/emails).
+  router.post('/:id/send', sales, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const { toEmail, toName, message, attachPdf } = req.body || {};
+      const reserveStock = req.body?.reserveStock ?? RESERVE_ON_SEND;
+      const q = await loadQuote(id);
+      if (!q) return res.status(404).json({ error: 'Not found' });
+
+      const current = effectiveStatus(q);
+      if (current !== 'SENT' && !canTransition(current, 'SENT')) {
+        return res.status(409).json({ error: `Cannot send a quote that is ${current}` });
+      }
+
+      const recipient = toEmail || q.customerEmail;
+      if (!recipient) return res.status(400).json({ error: 'Recipient email required' });
+
+      if (!transporter) return res.status(500).json({ error: 'SMTP not configured' });
+
+      // A draft whose validity lapsed while being worked on gets a fresh one
+      if (!q.validUntil || q.validUntil < new Date()) q.validUntil = defaultValidUntil(VALID_DAYS);
+
+      const link = publicLink(q);
+      const { subject, html } = await renderEmail(prisma, 'quote_sent', quoteSentVars(q, {
+        link, message, appBaseUrl: APP_BASE_URL, brandName: PDF_BRAND.name,
+      }));
+      const attachment = attachPdf ? { attachment: await quotePdf(q), attachmentName: `quote-${q.id}.pdf` } : {};
+
+      // Freeze what was sent, queue the email and record quote.sent together, so the log always
+      // matches the quote. Re-sending an unchanged revision keeps its original snapshot.
+      const queued = await prisma.$transaction(async (tx) => {
+        await tx.quoteRevision.upsert({
+          where: { quoteId_number: { quoteId: id, number: q.revision } },
+          update: { sentTo: recipient, sentAt: new Date() },
+          create: { quoteId: id, number: q.revision, snapshot: snapshotQuote(q), sentTo: recipient },
+        });
+        await tx.quote.update({
+          where: { id },
+          data: {
+            status: 'SENT',
+            sentRevision: q.revision,
+            validUntil: q.validUntil,
+            remindersSent: remindersPassed(q.validUntil, REMINDER_DAYS),
+          },
+        });
+        await emit(tx, 'quote.sent', { ...q, status: 'SENT' });
+        return queueEmail(tx, { quoteId: id, kind: 'QUOTE', revision: q.revision, to: recipient, subject, html, ...attachment });
+      });
+      // First attempt now; if SMTP is down the outbox job keeps trying and the quote stays sent
+      const email = await sendQueuedEmail(prisma, transporter, queued, { from: MAIL_FROM });
+
+      // A re-send replaces the hold with this revision's lines
+      const reservation = reserveStock ? await reserveQuoteStock(prisma, q, { days: RESERVATION_DAYS }) : null;
+
+      res.json({
+        ok: true,
+        sentTo: recipient,
+        link,
+        revision: q.revision,
+        reservedUntil: reservation?.expiresAt ?? null,
+        email: presentEmail(email),
+      });
+    } catch (e) {
+      console.error('POST /quotes/:id/send', e);
+      res.status(500).json({ error: 'Failed to send quote' });
+    }
+  });
+
+  // ---- Stock reservations
+
+  // Hold stock for the sent quote now (e.g. it went out without reserveStock)
+  router.post('/:id/reservations', sales, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const q = await loadQuote(id);
+      if (!q) return res.status(404).json({ error: 'Not found' });
+      const current = effectiveStatus(q);
+      if (current !== 'SENT' && current !== 'ACCEPTED') {
+        return res.status(409).json({ error: `Only sent or accepted quotes can hold stock (this one is ${current})` });
+      }
+      if (q.exoOrderId) return res.status(409).json({ error: 'Quote is already an EXO sales order' });
+      if (q.sentRevision !== q.revision) {
+        return res.status(409).json({ error: 'The quote has unsent changes; send the new revision to reserve its lines' });
+      }
+
+      const { expiresAt, lines } = await reserveQuoteStock(prisma, q, { days: RESERVATION_DAYS });
+      res.json({ ok: true, reservedUntil: expiresAt, lines });
+    } catch (e) {
+      console.error('POST /quotes/:id/reservations', e);
+      res.status(500).json({ error: 'Failed to reserve stock' });
+    }
+  });
+
+  router.delete('/:id/reservations', sales, async (req, res) => {
+    try {
+      const released = await releaseQuoteStock(prisma, Number(req.params.id));
+      res.json({ ok: true, released });
+    } catch (e) {
+      console.error('DELETE /quotes/:id/reservations', e);
+      res.status(500).json({ error: 'Failed to release stock' });
+    }
+  });
+
+  // ---- Email log
+
+  // Every email about this quote, newest first
+  router.get('/:id/emails', staff, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const exists = await prisma.quote.findUnique({ where: { id }, select: { id: true } });
+      if (!exists) return res.status(404).json({ error: 'Not found' });
+      const emails = await prisma.emailMessage.findMany({
+        where: { quoteId: id },
+        orderBy: { id: 'desc' },
+        omit: { html: true, attachment: true },
+      });
+      res.json(emails.map(presentEmail));
+    } catch (e) {
+      console.error('GET /quotes/:id/emails', e);
+      res.status(500).json({ error: 'Failed to fetch emails' });
+    }
+  });
+
+  // One email as sent, with its HTML body
+  router.get('/:id/emails/:emailId', staff, async (req, res) => {
+    try {
+      const m = await prisma.emailMessage.findFirst({
+        where: { id: Number(req.params.emailId) || 0, quoteId: Number(req.params.id) || 0 },
+        omit: { attachment: true },
+      });
+      if (!m) return res.status(404).json({ error: 'Not found' });
+      res.json({ ...presentEmail(m), html: m.html });
+    } catch (e) {
+      console.error('GET /quotes/:id/emails/:emailId', e);
+      res.status(500).json({ error: 'Failed to fetch email' });
+    }
+  });
+
+  // Try a failed (or still queued) email again now, with a fresh set of retries
+  router.post('/:id/emails/:emailId/retry', sales, async (req, res) => {
+    try {
+      const m = await prisma.emailMessage.findFirst({
+        where: { id: Number(req.params.emailId) || 0, quoteId: Number(req.params.id) || 0 },
+        select: { id: true, status: true },
+      });
+      if (!m) return res.status(404).json({ error: 'Not found' });
+      if (m.status === 'SENT') return res.status(409).json({ error: 'Email was already sent' });
+      if (!transporter) return res.status(500).json({ error: 'SMTP not configured' });
+      res.json(presentEmail(await retryEmail(prisma, transporter, m.id, { from: MAIL_FROM })));
+    } catch (e) {
+      console.error('POST /quotes/:id/emails/:emailId/retry', e);
+      res.status(500).json({ error: 'Failed to retry email' });
+    }
+  });
+
+  // ---- Customer responses (public; authenticated by the share token in the body)
+  // Only the revision the customer was last sent can be answered, and only while it's valid.
+  const RESPONSE_BLOCKED = {
+    DRAFT: 'This quote is being revised; please wait for the updated version',
+    ACCEPTED: 'This quote has already been accepted',
+    REJECTED: 'This quote has already been declined',
+    EXPIRED: 'This quote has expired',
+  };
+
+  // Queued like any other email; a failed first attempt is retried by the outbox job
+  async function notifyStaff(q, response) {
+    if (!transporter || !NOTIFY_EMAIL) return;
+    const staffLink = new URL('/quote.html', APP_BASE_URL);
+    staffLink.searchParams.set('id', q.id);
+    try {
+      const { subject, html } = await renderEmail(prisma, 'quote_response', responseVars(q, response, { staffLink: staffLink.toString() }));
+      const queued = await queueEmail(prisma, {
+        quoteId: q.id, kind: 'STAFF_NOTIFICATION', revision: response.revision, to: NOTIFY_EMAIL, subject, html,
+      });
+      await sendQueuedEmail(prisma, transporter, queued, { from: MAIL_FROM });
+    } catch (e) {
+      console.error(`Quote #${q.id}: staff notification failed:`, e?.message || e);
+    }
+  }
+
+  // body: { token, revision?, signerName, poNumber? } for accept, { token, revision?, reason } for reject
+  async function respond(req, res, decision) {
+    const id = Number(req.params.id);
+    const { token, revision } = req.body || {};
+    const q = await loadQuote(id);
+    if (!q) return res.status(404).json({ error: 'Not found' });
+    if (!sameSecret(token, q.shareToken)) return res.status(403).json({ error: 'Invalid token' });
+
+    const current = effectiveStatus(q);
+    if (!canTransition(current, decision)) {
+      return res.status(409).json({ error: RESPONSE_BLOCKED[current] || `Cannot respond to a quote that is ${current}` });
+    }
+    if (revision !== undefined && Number(revision) !== q.sentRevision) {
+      return res.status(409).json({ error: 'A newer revision of this quote has been sent; please review it first' });
+    }
+
+    const data = { quoteId: id, revision: q.sentRevision, decision, ip: req.ip || null, userAgent: clip(req.get('user-agent'), 500) || null };
+    if (decision === 'ACCEPTED') {
+      data.signerName = clip(req.body.signerName, 200);
+      data.poNumber = clip(req.body.poNumber, 100) || null;
+      if (!data.signerName) return res.status(400).json({ error: 'signerName required' });
+    } else {
+      data.reason = clip(req.body.reason, 2000);
+      if (!data.reason) return res.status(400).json({ error: 'reason required' });
+    }
+
+    // Status guard in the update so two clicks can't both win
+    const response = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.quote.updateMany({
+        where: { id, status: 'SENT', sentRevision: q.sentRevision },
+        data: { status: decision },
+      });
+      if (!count) return null;
+      if (decision === 'ACCEPTED') await emit(tx, 'quote.accepted', { ...q, status: decision });
+      return tx.quoteResponse.create({ data });
+    });
+    if (!response) return res.status(409).json({ error: 'Quote was updated meanwhile; please reload' });
+    // Accepted quotes keep their hold until the EXO sales order takes over
+    if (decision === 'REJECTED') await releaseQuoteStock(prisma, id);
+
+    await notifyStaff(q, response);
+    res.json({ ok: true, status: decision, response: presentResponse(response) });
+  }
+
+  router.post('/:id/accept', async (req, res) => {
+    try {
+      await respond(req, res, 'ACCEPTED');
+    } catch (e) {
+      console.error('POST /quotes/:id/accept', e);
+      res.status(500).json({ error: 'Failed to accept quote' });
+    }
+  });
+
+  router.post('/:id/reject', async (req, res) => {
+    try {
+      await respond(req, res, 'REJECTED');
+    } catch (e) {
+      console.error('POST /quotes/:id/reject', e);
+      res.status(500).json({ error: 'Failed to decline quote' });
+    }
+  });
+
+  // ---- EXO sales order
+  // Creates the sales order for an accepted quote; safe to retry (see lib/exoSalesOrders.js).
+  // body: { debtorId? } — falls back to the quote's exoDebtorId, its customer's EXO account, then
+  // EXO_DEFAULT_DEBTOR_ID.
+  router.post('/:id/exo-order', sales, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!exo) return res.status(500).json({ error: 'EXO not configured' });
+      const q = await loadQuote(id);
+      if (!q) return res.status(404).json({ error: 'Not found' });
+
+      const bodyDebtor = req.body?.debtorId == null ? undefined : parseDebtorId(req.body.debtorId);
+      if (bodyDebtor === null) return res.status(400).json({ error: 'debtorId must be a positive integer' });
+      const debtorId = bodyDebtor || q.exoDebtorId || q.Customer?.exoDebtorId || DEFAULT_DEBTOR_ID;
+      const poNumber = q.response?.decision === 'ACCEPTED' ? q.response.poNumber : null;
+
+      const { status, body } = await pushQuoteToExo(prisma, exo, q, { debtorId, poNumber });
+      if (body.ok) await releaseQuoteStock(prisma, id); // EXO's committed stock covers it now
+      res.status(status).json(body);
+    } catch (e) {
+      console.error('POST /quotes/:id/exo-order', e);
+      res.status(500).json({ error: 'Failed to create EXO sales order' });
+    }
+  });
+
+  // Where the quote stands with EXO
+  router.get('/:id/exo-order', staff, async (req, res) => {
+    try {
+      const q = await prisma.quote.findUnique({
+        where: { id: Number(req.params.id) },
+        select: {
+          exoDebtorId: true, exoOrderId: true, exoOrderStatus: true, exoOrderError: true,
+          exoOrderAttemptAt: true, exoOrderPushedAt: true,
+        },
+      });
+      if (!q) return res.status(404).json({ error: 'Not found' });
+      res.json(q);
+    } catch (e) {
+      console.error('GET /quotes/:id/exo-order', e);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  return router;
+};
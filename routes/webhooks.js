@@ -0,0 +1,172 @@
+// routes/webhooks.js
+const express = require('express');
+const {
+  EVENT_TYPES, newSecret, parseEventList, parseEndpointUrl, redeliver,
+} = require('../lib/webhooks');
+
+// Admin-only (mounted behind adminOnly): webhook endpoints, the event outbox and the delivery log
+module.exports = function makeWebhooksRouter(prisma) {
+  const router = express.Router();
+
+  const parseId = (v) => {
+    const n = Number(v);
+    return Number.isInteger(n) && n > 0 ? n : null;
+  };
+  const takeOf = (v) => Math.min(Math.max(Number(v) || 50, 1), 200);
+
+  // Endpoints as listed: the secret is only ever returned on create/rotate
+  const presentEndpoint = ({ secret, ...e }) => e;
+
+  // ---- Endpoints
+
+  router.get('/endpoints', async (_req, res) => {
+    try {
+      const endpoints = await prisma.webhookEndpoint.findMany({ orderBy: { id: 'asc' } });
+      const pending = await prisma.webhookDelivery.groupBy({
+        by: ['endpointId', 'status'],
+        where: { status: { in: ['PENDING', 'FAILED'] } },
+        _count: { _all: true },
+      });
+      const counts = (id, status) => pending.find(p => p.endpointId === id && p.status === status)?._count._all || 0;
+      res.json({
+        eventTypes: EVENT_TYPES,
+        endpoints: endpoints.map(e => ({ ...presentEndpoint(e), pending: counts(e.id, 'PENDING'), failed: counts(e.id, 'FAILED') })),
+      });
+    } catch (e) {
+      console.error('GET /webhooks/endpoints', e);
+      res.status(500).json({ error: 'Failed to fetch webhook endpoints' });
+    }
+  });
+
+  // { url, events?: [types or "quote.*"], description? } → endpoint with its secret
+  router.post('/endpoints', async (req, res) => {
+    try {
+      const url = parseEndpointUrl(req.body?.url);
+      if (!url) return res.status(400).json({ error: 'url must be an http(s) URL' });
+      const events = parseEventList(req.body?.events);
+      if (events.error) return res.status(400).json({ error: events.error });
+      const endpoint = await prisma.webhookEndpoint.create({
+        data: { url, events: events.value, description: req.body?.description || null, secret: newSecret() },
+      });
+      res.status(201).json(endpoint);
+    } catch (e) {
+      console.error('POST /webhooks/endpoints', e);
+      res.status(500).json({ error: 'Failed to create webhook endpoint' });
+    }
+  });
+
+  // { url?, events?, description?, active?, rotateSecret?: true }. Deliveries for a disabled
+  // endpoint wait until it's enabled again.
+  router.patch('/endpoints/:id', async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      const existing = id && await prisma.webhookEndpoint.findUnique({ where: { id } });
+      if (!existing) return res.status(404).json({ error: 'Not found' });
+
+      const body = req.body || {};
+      const data = {};
+      if (body.url !== undefined) {
+        data.url = parseEndpointUrl(body.url);
+        if (!data.url) return res.status(400).json({ error: 'url must be an http(s) URL' });
+      }
+      if (body.events !== undefined) {
+        const events = parseEventList(body.events);
+        if (events.error) return res.status(400).json({ error: events.error });
+        data.events = events.value;
+      }
+      if (body.active !== undefined) {
+        if (typeof body.active !== 'boolean') return res.status(400).json({ error: 'active must be true or false' });
+        data.active = body.active;
+      }
+      if (body.description !== undefined) data.description = body.description || null;
+      if (body.rotateSecret === true) data.secret = newSecret();
+
+      const endpoint = await prisma.webhookEndpoint.update({ where: { id }, data });
+      res.json(data.secret ? endpoint : presentEndpoint(endpoint));
+    } catch (e) {
+      console.error('PATCH /webhooks/endpoints/:id', e);
+      res.status(500).json({ error: 'Failed to update webhook endpoint' });
+    }
+  });
+
+  // Also drops its delivery log
+  router.delete('/endpoints/:id', async (req, res) => {
+    try {
+      const { count } = await prisma.webhookEndpoint.deleteMany({ where: { id: parseId(req.params.id) ?? 0 } });
+      if (!count) return res.status(404).json({ error: 'Not found' });
+      res.json({ ok: true });
+    } catch (e) {
+      console.error('DELETE /webhooks/endpoints/:id', e);
+      res.status(500).json({ error: 'Failed to delete webhook endpoint' });
+    }
+  });
+
+  // ---- Outbox / delivery log
+
+  // Recent events, newest first: ?type=&take=
+  router.get('/events', async (req, res) => {
+    try {
+      const events = await prisma.outboxEvent.findMany({
+        where: req.query.type ? { type: String(req.query.type) } : {},
+        orderBy: { id: 'desc' },
+        take: takeOf(req.query.take),
+        include: { deliveries: { select: { id: true, endpointId: true, status: true, attempts: true } } },
+      });
+      res.json(events);
+    } catch (e) {
+      console.error('GET /webhooks/events', e);
+      res.status(500).json({ error: 'Failed to fetch events' });
+    }
+  });
+
+  // Delivery log, newest first: ?endpointId=&status=PENDING|DELIVERED|FAILED&type=&take=
+  router.get('/deliveries', async (req, res) => {
+    try {
+      const { endpointId, status, type } = req.query;
+      if (status !== undefined && !['PENDING', 'DELIVERED', 'FAILED'].includes(status)) {
+        return res.status(400).json({ error: 'status must be one of PENDING, DELIVERED, FAILED' });
+      }
+      const deliveries = await prisma.webhookDelivery.findMany({
+        where: {
+          endpointId: endpointId ? parseId(endpointId) ?? 0 : undefined,
+          status,
+          Event: type ? { type: String(type) } : undefined,
+        },
+        orderBy: { id: 'desc' },
+        take: takeOf(req.query.take),
+        include: { Event: { select: { id: true, type: true, createdAt: true } } },
+      });
+      res.json(deliveries);
+    } catch (e) {
+      console.error('GET /webhooks/deliveries', e);
+      res.status(500).json({ error: 'Failed to fetch deliveries' });
+    }
+  });
+
+  router.get('/deliveries/:id', async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      const delivery = id && await prisma.webhookDelivery.findUnique({ where: { id }, include: { Event: true } });
+      if (!delivery) return res.status(404).json({ error: 'Not found' });
+      res.json(delivery);
+    } catch (e) {
+      console.error('GET /webhooks/deliveries/:id', e);
+      res.status(500).json({ error: 'Failed to fetch delivery' });
+    }
+  });
+
+  // Send again now (same delivery id, fresh signature); retries restart if it fails
+  router.post('/deliveries/:id/redeliver', async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      const existing = id && await prisma.webhookDelivery.findUnique({ where: { id }, select: { id: true } });
+      if (!existing) return res.status(404).json({ error: 'Not found' });
+      res.json(await redeliver(prisma, id));
+    } catch (e) {
+      console.error('POST /webhooks/deliveries/:id/redeliver', e);
+      res.status(500).json({ error: 'Failed to redeliver' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,189 @@
+// test/emailOutbox.test.js
+// The email outbox (retries with backoff, the per-quote log) and quote reminders, sending
+// over SMTP to a local listener through the app's own transporter.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { MAX_ATTEMPTS, makeTransporter, queueEmail, sendQueuedEmail, deliverQueuedEmails, retryEmail } = require('../lib/emailOutbox');
+const { queueQuoteReminders } = require('../lib/quoteEmails');
+const { memoryPrisma } = require('./memoryPrisma');
+const { startSmtpServer } = require('./smtpServer');
+
+const MIN = 60 * 1000;
+const DAY = 24 * 60 * MIN;
+const from = 'quotes@example.com';
+
+let smtp;
+let transporter;
+
+before(async () => {
+  smtp = await startSmtpServer();
+  transporter = makeTransporter({ SMTP_HOST: '127.0.0.1', SMTP_PORT: smtp.port });
+});
+
+after(() => smtp.close());
+
+beforeEach(() => {
+  smtp.messages.length = 0;
+  smtp.received = 0;
+  smtp.reply = () => null;
+});
+
+// The next `n` messages are refused after DATA, like a server that's temporarily unavailable
+function refuseNext(n) {
+  smtp.reply = () => (n-- > 0 ? '451 4.3.0 Mail server temporarily unavailable' : null);
+}
+
+// A port nothing listens on: connections are refused
+async function closedPort() {
+  const server = net.createServer();
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const { port } = server.address();
+  await new Promise(r => server.close(r));
+  return port;
+}
+
+const newPrisma = () => memoryPrisma({
+  emailMessage: () => ({ status: 'QUEUED', attempts: 0, nextAttemptAt: new Date(), lastError: null, messageId: null, sentAt: null }),
+  emailTemplate: {},
+  quote: { status: 'SENT', remindersEnabled: true, remindersSent: 0, currency: 'AUD', total: '115.00' },
+  quoteRevision: {},
+});
+
+const message = (quoteId, kind = 'QUOTE') => ({ quoteId, kind, revision: 1, to: 'buyer@example.com', subject: `Quote #${quoteId}`, html: '<p>Hi</p>' });
+
+// How far from `expected` (ms from now) a stored retry time is
+const offBy = (at, expected) => Math.abs(at.getTime() - Date.now() - expected);
+
+test('refused sends back off and are retried by the job until they go through', async () => {
+  const prisma = newPrisma();
+  refuseNext(2);
+  const queued = await queueEmail(prisma, message(1));
+
+  let m = await sendQueuedEmail(prisma, transporter, queued, { from });
+  assert.equal(m.status, 'QUEUED');
+  assert.equal(m.attempts, 1);
+  assert.match(m.lastError, /451/);
+  assert.ok(offBy(m.nextAttemptAt, 1 * MIN) < 5000, 'first retry after a minute');
+
+  // Not due yet: the job leaves it alone
+  assert.deepEqual(await deliverQueuedEmails(prisma, transporter, { from }), { sent: 0, retrying: 0, failed: 0 });
+  assert.equal(smtp.received, 1);
+
+  let summary = await deliverQueuedEmails(prisma, transporter, { from, now: new Date(Date.now() + 2 * MIN) });
+  assert.deepEqual(summary, { sent: 0, retrying: 1, failed: 0 });
+  m = await prisma.emailMessage.findUnique({ where: { id: queued.id } });
+  assert.equal(m.attempts, 2);
+  assert.ok(offBy(m.nextAttemptAt, 5 * MIN) < 5000, 'second retry after five minutes');
+
+  summary = await deliverQueuedEmails(prisma, transporter, { from, now: new Date(Date.now() + 6 * MIN) });
+  assert.deepEqual(summary, { sent: 1, retrying: 0, failed: 0 });
+  m = await prisma.emailMessage.findUnique({ where: { id: queued.id } });
+  assert.equal(m.status, 'SENT');
+  assert.equal(m.attempts, 3);
+  assert.equal(m.nextAttemptAt, null);
+  assert.equal(m.lastError, null);
+  assert.ok(m.messageId);
+  assert.equal(smtp.messages.length, 1);
+  assert.equal(smtp.messages[0].from, from);
+  assert.deepEqual(smtp.messages[0].to, ['buyer@example.com']);
+  assert.equal(smtp.messages[0].subject, 'Quote #1');
+});
+
+test('an unreachable SMTP server leaves the message queued for the job', async () => {
+  const prisma = newPrisma();
+  const down = makeTransporter({ SMTP_HOST: '127.0.0.1', SMTP_PORT: await closedPort() });
+  const queued = await queueEmail(prisma, message(1));
+
+  const m = await sendQueuedEmail(prisma, down, queued, { from });
+  assert.equal(m.status, 'QUEUED');
+  assert.equal(m.attempts, 1);
+  assert.match(m.lastError, /ECONNREFUSED/);
+
+  const summary = await deliverQueuedEmails(prisma, transporter, { from, now: new Date(Date.now() + 2 * MIN) });
+  assert.deepEqual(summary, { sent: 1, retrying: 0, failed: 0 });
+  assert.equal(smtp.messages.length, 1);
+});
+
+test(`a message gives up after ${MAX_ATTEMPTS} attempts and a manual retry starts afresh`, async () => {
+  const prisma = newPrisma();
+  refuseNext(Infinity);
+  const queued = await queueEmail(prisma, message(1));
+
+  for (let i = 1; i <= MAX_ATTEMPTS; i++) {
+    await deliverQueuedEmails(prisma, transporter, { from, now: new Date(Date.now() + i * DAY) });
+  }
+  let m = await prisma.emailMessage.findUnique({ where: { id: queued.id } });
+  assert.equal(m.status, 'FAILED');
+  assert.equal(m.attempts, MAX_ATTEMPTS);
+  assert.equal(m.nextAttemptAt, null);
+  assert.deepEqual(await deliverQueuedEmails(prisma, transporter, { from, now: new Date(Date.now() + 30 * DAY) }), { sent: 0, retrying: 0, failed: 0 });
+
+  refuseNext(0);
+  m = await retryEmail(prisma, transporter, queued.id, { from });
+  assert.equal(m.status, 'SENT');
+  assert.equal(m.attempts, 1);
+  assert.equal(smtp.messages.length, 1);
+});
+
+test("a quote's email log has one row per email, updated in place by retries", async () => {
+  const prisma = newPrisma();
+  refuseNext(1);
+  await sendQueuedEmail(prisma, transporter, await queueEmail(prisma, message(1)), { from });
+  await sendQueuedEmail(prisma, transporter, await queueEmail(prisma, message(1, 'STAFF_NOTIFICATION')), { from });
+  await sendQueuedEmail(prisma, transporter, await queueEmail(prisma, message(2)), { from });
+  await deliverQueuedEmails(prisma, transporter, { from, now: new Date(Date.now() + 2 * MIN) });
+
+  // As GET /quotes/:id/emails reads it
+  const log = await prisma.emailMessage.findMany({ where: { quoteId: 1 }, orderBy: { id: 'desc' } });
+  assert.deepEqual(log.map(m => [m.kind, m.status, m.attempts]), [
+    ['STAFF_NOTIFICATION', 'SENT', 1],
+    ['QUOTE', 'SENT', 2],
+  ]);
+  assert.equal(prisma.emailMessage.rows.length, 3);
+  assert.equal(smtp.messages.length, 3);
+});
+
+test('reminders are queued once per reminder point, however often the job runs', async () => {
+  const prisma = newPrisma();
+  const days = [7, 2];
+  const now = new Date();
+  const quote = await prisma.quote.create({
+    data: { shareToken: 'tok', customerName: 'Acme', revision: 1, sentRevision: 1, validUntil: new Date(now.getTime() + 6.5 * DAY) },
+  });
+  await prisma.quoteRevision.create({ data: { quoteId: quote.id, number: 1, sentTo: 'buyer@example.com' } });
+  const run = (at) => queueQuoteReminders(prisma, { days, appBaseUrl: 'https://quotes.example.com', brandName: 'Acme Rugs', now: at });
+
+  // Two overlapping runs at the first point queue one reminder between them
+  const [a, b] = await Promise.all([run(now), run(now)]);
+  assert.equal(a.length + b.length, 1);
+  const [first] = [...a, ...b];
+  assert.equal(first.kind, 'REMINDER');
+  assert.equal(first.to, 'buyer@example.com');
+  assert.match(first.html, /quote\.html\?id=\d+&#38;token=tok&#38;rev=1/);
+  assert.equal((await prisma.quote.findUnique({ where: { id: quote.id } })).remindersSent, 1);
+
+  assert.equal((await run(new Date(now.getTime() + DAY))).length, 0, 'nothing new before the next point');
+
+  const second = await run(new Date(now.getTime() + 5 * DAY));
+  assert.equal(second.length, 1);
+  assert.equal((await run(new Date(now.getTime() + 5 * DAY))).length, 0);
+  assert.equal((await prisma.quote.findUnique({ where: { id: quote.id } })).remindersSent, 2);
+
+  // The job delivers exactly those two
+  assert.deepEqual(await deliverQueuedEmails(prisma, transporter, { from }), { sent: 2, retrying: 0, failed: 0 });
+  assert.deepEqual(smtp.messages.map(m => m.to), [['buyer@example.com'], ['buyer@example.com']]);
+});
+
+test('a quote that passes both reminder points between runs gets one reminder', async () => {
+  const prisma = newPrisma();
+  const now = new Date();
+  const quote = await prisma.quote.create({
+    data: { shareToken: 'tok', revision: 1, sentRevision: 1, validUntil: new Date(now.getTime() + DAY) },
+  });
+  await prisma.quoteRevision.create({ data: { quoteId: quote.id, number: 1, sentTo: 'buyer@example.com' } });
+
+  const queued = await queueQuoteReminders(prisma, { days: [7, 2], appBaseUrl: 'https://quotes.example.com', brandName: 'Acme Rugs', now });
+  assert.equal(queued.length, 1);
+  assert.equal((await prisma.quote.findUnique({ where: { id: quote.id } })).remindersSent, 2);
+});
@@ -0,0 +1,141 @@
+// test/exoSalesOrders.test.js
+// Pushing an accepted quote to a stub EXO server through the real EXO client.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { makeExoClient } = require('../lib/exoClient');
+const { pushQuoteToExo } = require('../lib/exoSalesOrders');
+const { memoryPrisma } = require('./memoryPrisma');
+
+// Stub EXO: POST /salesorder creates an order; `failNextCreate` makes it answer 503 after
+// creating it, the way a gateway timeout hides an order that did go through
+const exoState = { orders: [], posts: 0, searches: 0, failNextCreate: false, rejectNextCreate: false };
+let server;
+let exo;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const send = (code, body) => { res.writeHead(code, { 'content-type': 'application/json' }); res.end(JSON.stringify(body)); };
+    const u = new URL(req.url, 'http://exo');
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      if (req.method === 'POST' && u.pathname === '/salesorder') {
+        exoState.posts++;
+        if (exoState.rejectNextCreate) {
+          exoState.rejectNextCreate = false;
+          return send(400, { message: 'Unknown debtor' });
+        }
+        const order = { ...JSON.parse(body), id: 500 + exoState.orders.length };
+        exoState.orders.push(order);
+        if (exoState.failNextCreate) {
+          exoState.failNextCreate = false;
+          return send(503, { message: 'Gateway timeout' });
+        }
+        return send(201, order);
+      }
+      if (req.method === 'GET' && u.pathname === '/salesorder/search') {
+        exoState.searches++;
+        const found = exoState.orders.filter(o => o.reference === u.searchParams.get('q'));
+        return found.length ? send(200, found) : send(404, {});
+      }
+      send(404, {});
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  exo = makeExoClient({
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    ratePerSecond: 1000,
+    burst: 1000,
+    maxRetries: 1,
+    backoff: { baseMs: 1, maxMs: 5 },
+  });
+});
+
+after(() => new Promise(r => server.close(r)));
+
+async function acceptedQuote(prisma) {
+  const quote = await prisma.quote.create({
+    data: { status: 'ACCEPTED', customerName: 'Acme', subtotal: 200, discount: 0, exchangeRate: 1 },
+  });
+  return {
+    ...quote,
+    items: [{ stockCode: 'RUG-1', name: 'Rug', qty: 2, price: '100', taxRate: '15', discountPct: null }],
+  };
+}
+
+// Re-read the quote as the route does before each push
+const reload = async (prisma, quote) => ({ ...(await prisma.quote.findUnique({ where: { id: quote.id } })), items: quote.items });
+
+const newPrisma = () => memoryPrisma({
+  quote: { exoOrderId: null, exoOrderStatus: null, exoOrderAttemptAt: null, exoOrderError: null },
+});
+
+test('an unconfirmed push is adopted on retry instead of creating a second order', async () => {
+  Object.assign(exoState, { orders: [], posts: 0, searches: 0, failNextCreate: true });
+  const prisma = newPrisma();
+  const quote = await acceptedQuote(prisma);
+
+  const first = await pushQuoteToExo(prisma, exo, quote, { debtorId: 12 });
+  assert.equal(first.status, 502);
+  assert.equal((await reload(prisma, quote)).exoOrderStatus, 'UNKNOWN');
+  assert.equal(exoState.posts, 1);
+  assert.equal(exoState.orders[0].reference, `QUOTE-${quote.id}`);
+
+  const second = await pushQuoteToExo(prisma, exo, await reload(prisma, quote), { debtorId: 12 });
+  assert.equal(second.status, 200);
+  assert.deepEqual(second.body, { ok: true, exoOrderId: '500', adopted: true });
+  assert.equal(exoState.posts, 1, 'no second order was posted');
+  assert.equal(exoState.searches, 1);
+
+  const stored = await reload(prisma, quote);
+  assert.equal(stored.exoOrderId, '500');
+  assert.equal(stored.exoOrderStatus, 'PUSHED');
+
+  const third = await pushQuoteToExo(prisma, exo, stored, { debtorId: 12 });
+  assert.equal(third.status, 200);
+  assert.equal(third.body.alreadyPushed, true);
+  assert.equal(exoState.posts, 1);
+  assert.equal(exoState.searches, 1);
+});
+
+test('a retry after an unconfirmed push creates the order when EXO has none', async () => {
+  Object.assign(exoState, { orders: [], posts: 0, searches: 0 });
+  const prisma = newPrisma();
+  const quote = await acceptedQuote(prisma);
+  await prisma.quote.update({ where: { id: quote.id }, data: { exoOrderStatus: 'UNKNOWN' } });
+
+  const res = await pushQuoteToExo(prisma, exo, await reload(prisma, quote), { debtorId: 12 });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.adopted, false);
+  assert.equal(exoState.searches, 1);
+  assert.equal(exoState.posts, 1);
+  assert.equal(exoState.orders.length, 1);
+});
+
+test('a rejected order is FAILED and the next push creates it without a lookup', async () => {
+  Object.assign(exoState, { orders: [], posts: 0, searches: 0, rejectNextCreate: true });
+  const prisma = newPrisma();
+  const quote = await acceptedQuote(prisma);
+
+  const first = await pushQuoteToExo(prisma, exo, quote, { debtorId: 12 });
+  assert.equal(first.status, 502);
+  assert.equal(first.body.exoStatus, 400);
+  assert.equal((await reload(prisma, quote)).exoOrderStatus, 'FAILED');
+
+  const second = await pushQuoteToExo(prisma, exo, await reload(prisma, quote), { debtorId: 12 });
+  assert.equal(second.status, 201);
+  assert.equal(exoState.searches, 0);
+  assert.equal(exoState.orders.length, 1);
+});
+
+test('a push already in progress is refused', async () => {
+  Object.assign(exoState, { orders: [], posts: 0, searches: 0 });
+  const prisma = newPrisma();
+  const quote = await acceptedQuote(prisma);
+  await prisma.quote.update({ where: { id: quote.id }, data: { exoOrderStatus: 'PENDING', exoOrderAttemptAt: new Date() } });
+
+  const res = await pushQuoteToExo(prisma, exo, await reload(prisma, quote), { debtorId: 12 });
+  assert.equal(res.status, 409);
+  assert.equal(exoState.posts, 0);
+});
@@ -0,0 +1,72 @@
+// test/memoryPrisma.js
+// Just enough of a PrismaClient, in memory, for the lib/ functions under test: create,
+// findUnique, findFirst, findMany (where/orderBy/take), update, updateMany and
+// $transaction(fn). Where clauses support equality, null, OR, compound unique keys
+// (quoteId_number: { … }) and lt/lte/gt/gte/not/in. Transactions don't roll back.
+
+const OPS = {
+  lt: (v, x) => v != null && v < x,
+  lte: (v, x) => v != null && v <= x,
+  gt: (v, x) => v != null && v > x,
+  gte: (v, x) => v != null && v >= x,
+  not: (v, x) => (x === null ? v != null : !same(v, x)),
+  in: (v, x) => x.some(y => same(v, y)),
+  notIn: (v, x) => !x.some(y => same(v, y)),
+};
+
+const same = (a, b) => (a instanceof Date || b instanceof Date ? +a === +b : (a ?? null) === (b ?? null));
+const isPlain = (v) => v && typeof v === 'object' && !(v instanceof Date) && !Array.isArray(v);
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([k, cond]) => {
+    if (k === 'OR') return cond.some(w => matches(row, w));
+    if (k === 'AND') return cond.every(w => matches(row, w));
+    if (!isPlain(cond)) return same(row[k], cond);
+    if (!(k in row)) return matches(row, cond); // compound unique key
+    return Object.entries(cond).every(([op, x]) => OPS[op](row[k], x));
+  });
+}
+
+function makeModel(defaults = {}) {
+  const rows = [];
+  let nextId = 1;
+  const copy = (r) => (r ? { ...r } : null);
+  const apply = (row, data) => Object.assign(row, data, { updatedAt: new Date() });
+  return {
+    rows,
+    async create({ data }) {
+      const fresh = typeof defaults === 'function' ? defaults() : defaults;
+      const row = { id: nextId++, createdAt: new Date(), updatedAt: new Date(), ...fresh, ...data };
+      rows.push(row);
+      return copy(row);
+    },
+    async findUnique({ where }) { return copy(rows.find(r => matches(r, where))); },
+    async findFirst({ where } = {}) { return copy(rows.find(r => matches(r, where))); },
+    async findMany({ where, orderBy, take } = {}) {
+      let found = rows.filter(r => matches(r, where));
+      const [[field, dir] = []] = Object.entries(orderBy || {});
+      if (field) found.sort((a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0) * (dir === 'desc' ? -1 : 1));
+      if (take) found = found.slice(0, take);
+      return found.map(copy);
+    },
+    async update({ where, data }) {
+      const row = rows.find(r => matches(r, where));
+      if (!row) throw Object.assign(new Error('Record to update not found'), { code: 'P2025' });
+      return copy(apply(row, data));
+    },
+    async updateMany({ where, data }) {
+      const found = rows.filter(r => matches(r, where));
+      found.forEach(r => apply(r, data));
+      return { count: found.length };
+    },
+  };
+}
+
+// models: { name: defaults for new rows, or a function returning them } → a client with those models
+function memoryPrisma(models) {
+  const db = Object.fromEntries(Object.entries(models).map(([name, defaults]) => [name, makeModel(defaults)]));
+  db.$transaction = (fn) => fn(db);
+  return db;
+}
+
+module.exports = { memoryPrisma };
@@ -0,0 +1,68 @@
+// test/smtpServer.js
+// A local SMTP listener speaking just enough of the protocol for nodemailer (EHLO, MAIL,
+// RCPT, DATA, RSET, NOOP, QUIT; no TLS or auth). `reply(mail)` can refuse a message after
+// DATA with an SMTP error line (e.g. '451 4.3.0 Try again later'); accepted ones collect in
+// `messages` as { from, to, subject, data }.
+const net = require('net');
+
+async function startSmtpServer() {
+  const smtp = { messages: [], received: 0, reply: () => null };
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    const write = (line) => socket.write(`${line}\r\n`);
+    let mail = null;
+    let data = null;
+    let buffer = '';
+
+    const command = (line) => {
+      const verb = line.slice(0, 4).toUpperCase();
+      if (verb === 'EHLO' || verb === 'HELO') return write('250 localhost');
+      if (verb === 'MAIL') { mail = { from: line.replace(/^MAIL FROM:\s*/i, '').replace(/[<>]/g, '').split(' ')[0], to: [] }; return write('250 OK'); }
+      if (verb === 'RCPT') { mail?.to.push(line.replace(/^RCPT TO:\s*/i, '').replace(/[<>]/g, '')); return write('250 OK'); }
+      if (verb === 'DATA') { data = []; return write('354 End data with <CR><LF>.<CR><LF>'); }
+      if (verb === 'RSET') { mail = null; return write('250 OK'); }
+      if (verb === 'NOOP') return write('250 OK');
+      if (verb === 'QUIT') { write('221 Bye'); return socket.end(); }
+      write('502 Command not implemented');
+    };
+
+    const endOfData = () => {
+      const message = { ...mail, data: data.join('\r\n') };
+      message.subject = (message.data.match(/^Subject: (.*)$/m) || [])[1];
+      data = null;
+      mail = null;
+      smtp.received++;
+      const refusal = smtp.reply(message);
+      if (refusal) return write(refusal);
+      smtp.messages.push(message);
+      write(`250 OK queued as ${smtp.received}`);
+    };
+
+    write('220 localhost ESMTP test');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let i;
+      while ((i = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        if (!data) command(line);
+        else if (line === '.') endOfData();
+        else data.push(line.startsWith('..') ? line.slice(1) : line);
+      }
+    });
+  });
+
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  smtp.port = server.address().port;
+  smtp.close = () => new Promise((r) => {
+    sockets.forEach(s => s.destroy());
+    server.close(r);
+  });
+  return smtp;
+}
+
+module.exports = { startSmtpServer };